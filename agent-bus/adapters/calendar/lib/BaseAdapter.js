@@ -1,4 +1,5 @@
 const Response = require('./Response');
+const { spanTag } = require('../../lib/tracing');
 
 /**
  * Base class for calendar adapter operations
@@ -55,7 +56,7 @@ class BaseAdapter {
   
   logDebug(message, data = null) {
     if (process.env.NODE_ENV === 'development') {
-      console.error(`[DEBUG] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+      console.error(`[DEBUG]${spanTag()} ${message}`, data ? JSON.stringify(data, null, 2) : '');
     }
   }
 }
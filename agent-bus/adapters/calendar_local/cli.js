@@ -50,6 +50,42 @@ const formatDateForAppleScript = (dateStr) => {
   });
 };
 
+// AppleScript that creates the event described in eventFile
+const createEventScript = (eventFile, calendarId) => `
+            set eventDetails to (do shell script "cat '${eventFile.replace(/'/g, "''")}'")
+            set eventProps to run script "(" & eventDetails & ")"
+            
+            tell application "Calendar"
+              -- Get the calendar by ID
+              set targetCalendar to first calendar where id is "${calendarId}"
+              
+              -- Create the event
+              tell targetCalendar
+                set newEvent to make new event with properties { \
+                  summary:my title of eventProps, \
+                  start date:date my start of eventProps, \
+                  end date:date my end of eventProps, \
+                  allday event:my allDay of eventProps, \
+                  location:my location of eventProps, \
+                  description:my notes of eventProps \
+                }
+                
+                -- Add attendees if any
+                repeat with attendeeEmail in my attendees of eventProps
+                  tell newEvent
+                    make new attendee at end of attendees with properties {email:attendeeEmail}
+                  end tell
+                end repeat
+                
+                -- Return the event details
+                set eventId to id of newEvent
+                set eventUrl to "ical://" & (get uid of newEvent)
+                
+                return {eventId, eventUrl, summary:summary of newEvent, startDate:start date of newEvent, endDate:end date of newEvent}
+              end tell
+            end tell
+          `;
+
 // Get calendar by name or use default
 const getCalendarId = async (calendarName = 'Home') => {
   try {
@@ -126,19 +162,45 @@ const getCalendarId = async (calendarName = 'Home') => {
         // Get or create a temporary file for the event details
         const tempDir = os.tmpdir();
         const tempFile = path.join(tempDir, `event_${Date.now()}.txt`);
+        const eventDetails = {
+          title,
+          start: formattedStartDate,
+          end: formattedEndDate,
+          allDay,
+          location,
+          notes,
+          attendees,
+          calendar
+        };
+        
+        // Dry run: report the event and the script without writing the
+        // event file or touching the calendar
+        if (payload.dry_run === true) {
+          const calendarId = await getCalendarId(calendar);
+          if (!calendarId) {
+            throw new Error(`Calendar '${calendar}' not found`);
+          }
+          
+          return ok({
+            dry_run: true,
+            effects: [{
+              action: 'create_event',
+              calendar,
+              title,
+              start: startDate.toISOString(),
+              end: endDate.toISOString(),
+              allDay,
+              location,
+              attendees
+            }],
+            event_file: { path: tempFile, content: eventDetails },
+            applescript: createEventScript(tempFile, calendarId)
+          });
+        }
         
         try {
           // Create a temporary file with event details
-          await fs.writeFile(tempFile, JSON.stringify({
-            title,
-            start: formattedStartDate,
-            end: formattedEndDate,
-            allDay,
-            location,
-            notes,
-            attendees,
-            calendar
-          }));
+          await fs.writeFile(tempFile, JSON.stringify(eventDetails));
           
           // Get the calendar ID
           const calendarId = await getCalendarId(calendar);
@@ -147,40 +209,7 @@ const getCalendarId = async (calendarName = 'Home') => {
           }
           
           // AppleScript to create the event
-          const script = `
-            set eventDetails to (do shell script "cat '${tempFile.replace(/'/g, "''")}'")
-            set eventProps to run script "(" & eventDetails & ")"
-            
-            tell application "Calendar"
-              -- Get the calendar by ID
-              set targetCalendar to first calendar where id is "${calendarId}"
-              
-              -- Create the event
-              tell targetCalendar
-                set newEvent to make new event with properties { \
-                  summary:my title of eventProps, \
-                  start date:date my start of eventProps, \
-                  end date:date my end of eventProps, \
-                  allday event:my allDay of eventProps, \
-                  location:my location of eventProps, \
-                  description:my notes of eventProps \
-                }
-                
-                -- Add attendees if any
-                repeat with attendeeEmail in my attendees of eventProps
-                  tell newEvent
-                    make new attendee at end of attendees with properties {email:attendeeEmail}
-                  end tell
-                end repeat
-                
-                -- Return the event details
-                set eventId to id of newEvent
-                set eventUrl to "ical://" & (get uid of newEvent)
-                
-                return {eventId, eventUrl, summary:summary of newEvent, startDate:start date of newEvent, endDate:end date of newEvent}
-              end tell
-            end tell
-          `;
+          const script = createEventScript(tempFile, calendarId);
           
           // Execute the AppleScript
           const { stdout, stderr } = await execAsync(`osascript -e '${script.replace(/\n/g, ' ').replace(/\s+/g, ' ')}'`);
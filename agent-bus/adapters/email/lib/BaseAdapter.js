@@ -1,5 +1,6 @@
 const Response = require('./Response');
 const Validator = require('./Validator');
+const { spanTag } = require('../../lib/tracing');
 
 /**
  * Base class for email adapter operations
@@ -56,7 +57,7 @@ class BaseAdapter {
   
   logDebug(message, data = null) {
     if (process.env.NODE_ENV === 'development') {
-      console.error(`[DEBUG] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+      console.error(`[DEBUG]${spanTag()} ${message}`, data ? JSON.stringify(data, null, 2) : '');
     }
   }
 }
@@ -7,12 +7,15 @@ const IntelligenceOperations = require('./handlers/IntelligenceOperations');
  */
 class FsAdapter extends BaseAdapter {
   getVerbHandler(verbId) {
+    // Verbs declaring `dry_run` in the manifest take these options
+    const options = { dryRun: this.dryRun };
+    
     const handlers = {
       // Basic file operations
       'fs.read': () => BasicOperations.read(this.args),
-      'fs.write': () => BasicOperations.write(this.args),
-      'fs.mkdir': () => BasicOperations.mkdir(this.args),
-      'fs.move': () => BasicOperations.move(this.args),
+      'fs.write': () => BasicOperations.write(this.args, options),
+      'fs.mkdir': () => BasicOperations.mkdir(this.args, options),
+      'fs.move': () => BasicOperations.move(this.args, options),
       'fs.copy': () => BasicOperations.copy(this.args),
       'fs.delete': () => BasicOperations.delete(this.args),
       
@@ -3,7 +3,9 @@ const path = require('path');
 const Validator = require('../lib/Validator');
 
 /**
- * Handler for basic file system operations
+ * Handler for basic file system operations. Mutating operations take
+ * `{ dryRun }` and, for a dry run, return the effects they would have
+ * instead of performing them.
  */
 class BasicOperations {
   static async read(args) {
@@ -15,11 +17,19 @@ class BasicOperations {
     return { content };
   }
   
-  static async write(args) {
+  static async write(args, { dryRun = false } = {}) {
     Validator.requireArgs(args, ['path', 'content']);
     Validator.validatePath(args.path);
     Validator.validateEncoding(args.encoding);
     
+    if (dryRun) {
+      const bytes = Buffer.byteLength(args.content, args.encoding || 'utf8');
+      return this.dryRunResult([
+        ...await this.plannedMkdir(path.dirname(args.path)),
+        { action: 'write', path: args.path, bytes, overwrites: await this.exists(args.path) }
+      ]);
+    }
+    
     await fs.mkdir(path.dirname(args.path), { recursive: true });
     const buffer = Buffer.from(args.content, args.encoding || 'utf8');
     await fs.writeFile(args.path, buffer);
@@ -30,21 +40,40 @@ class BasicOperations {
     };
   }
   
-  static async mkdir(args) {
+  static async mkdir(args, { dryRun = false } = {}) {
     Validator.requireArgs(args, ['path']);
     Validator.validatePath(args.path);
     
     const mode = args.mode ? parseInt(args.mode, 8) : 0o755;
+    if (dryRun) {
+      return this.dryRunResult(await this.plannedMkdir(args.path, mode));
+    }
+    
     await fs.mkdir(args.path, { recursive: true, mode });
     
     return { path: args.path };
   }
   
-  static async move(args) {
+  static async move(args, { dryRun = false } = {}) {
     Validator.requireArgs(args, ['source', 'destination']);
     Validator.validatePath(args.source);
     Validator.validatePath(args.destination);
     
+    if (dryRun) {
+      // Fails like the real move when the source is missing
+      const stats = await fs.stat(args.source);
+      return this.dryRunResult([
+        ...await this.plannedMkdir(path.dirname(args.destination)),
+        {
+          action: 'move',
+          source: args.source,
+          destination: args.destination,
+          type: stats.isDirectory() ? 'directory' : 'file',
+          overwrites: await this.exists(args.destination)
+        }
+      ]);
+    }
+    
     await fs.mkdir(path.dirname(args.destination), { recursive: true });
     await fs.rename(args.source, args.destination);
     
@@ -84,6 +113,28 @@ class BasicOperations {
       type: stats.isDirectory() ? 'directory' : 'file'
     };
   }
+  
+  static dryRunResult(effects) {
+    return { dry_run: true, effects };
+  }
+  
+  static async exists(target) {
+    try {
+      await fs.stat(target);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+  
+  /**
+   * The `mkdir` effect for a directory, or nothing if it already exists
+   */
+  static async plannedMkdir(dir, mode = 0o755) {
+    if (await this.exists(dir)) return [];
+    return [{ action: 'mkdir', path: dir, mode: `0${mode.toString(8)}` }];
+  }
 }
 
 module.exports = BasicOperations;
\ No newline at end of file
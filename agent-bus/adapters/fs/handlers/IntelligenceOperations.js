@@ -3,8 +3,11 @@ const path = require('path');
 const glob = require('glob').glob;
 const crypto = require('crypto');
 const Validator = require('../lib/Validator');
+const Response = require('../lib/Response');
 const CONFIG = require('../lib/Config');
 
+const PROGRESS_EVERY = 25; // files between progress events
+
 /**
  * Handler for intelligent file system operations
  */
@@ -69,8 +72,13 @@ class IntelligenceOperations {
     
     const results = [];
     const binaryExtensions = ['.exe', '.bin', '.jpg', '.png', '.pdf', '.zip'];
+    const candidates = files.slice(0, 100); // Limit to first 100 files to prevent overflow
     
-    for (const filePath of files.slice(0, 100)) { // Limit to first 100 files to prevent overflow
+    for (const [index, filePath] of candidates.entries()) {
+      if (index % PROGRESS_EVERY === 0) {
+        Response.progress({ searched: index, total: candidates.length, matched: results.length });
+      }
+      
       try {
         const ext = path.extname(filePath).toLowerCase();
         if (binaryExtensions.includes(ext)) continue;
@@ -98,6 +106,11 @@ class IntelligenceOperations {
             matches,
             totalMatches: matches.length
           });
+          Response.partial({
+            name: path.basename(filePath),
+            path: filePath,
+            matches: matches.length
+          });
         }
         
         // Limit total results to prevent JSON overflow
@@ -145,7 +158,7 @@ class IntelligenceOperations {
       total: fileStats.totalFiles,
       byType: fileStats.typeDistribution,
       files: fileStats.totalFiles,
-      directories: 0, // Could be calculated if needed
+      directories: fileStats.totalDirectories,
       suggestions: insights.map(i => i.message)
     };
   }
@@ -216,7 +229,11 @@ class IntelligenceOperations {
     const fileHashes = new Map();
     const duplicates = [];
     
-    for (const filePath of duplicateFiles) {
+    for (const [index, filePath] of duplicateFiles.entries()) {
+      if (index % PROGRESS_EVERY === 0) {
+        Response.progress({ hashed: index, total: duplicateFiles.length, duplicates: duplicates.length });
+      }
+      
       const hash = await this.calculateFileHash(filePath);
       if (hash) {
         if (fileHashes.has(hash)) {
@@ -251,7 +268,8 @@ class IntelligenceOperations {
   
   static async analyzeFiles(dir) {
     const globPattern = `${dir}/**/*`;
-    const files = await glob(globPattern, { nodir: true, absolute: true });
+    const entries = await glob(globPattern, { withFileTypes: true });
+    const files = entries.filter(entry => !entry.isDirectory()).map(entry => entry.fullpath());
     
     let totalSize = 0;
     const typeStats = {};
@@ -286,6 +304,7 @@ class IntelligenceOperations {
     
     return {
       totalFiles: files.length,
+      totalDirectories: entries.length - files.length,
       totalSize,
       typeDistribution: typeStats,
       largest: { ...largest, mtime: undefined },
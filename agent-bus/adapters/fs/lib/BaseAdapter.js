@@ -1,5 +1,6 @@
 const Response = require('./Response');
 const Validator = require('./Validator');
+const { spanTag } = require('../../lib/tracing');
 
 /**
  * Base class for file system adapter operations
@@ -8,6 +9,7 @@ class BaseAdapter {
   constructor(payload) {
     this.verb = payload.verb;
     this.args = payload.args || {};
+    this.dryRun = payload.dry_run === true;
   }
   
   async execute() {
@@ -56,7 +58,7 @@ class BaseAdapter {
   
   logDebug(message, data = null) {
     if (process.env.NODE_ENV === 'development') {
-      console.error(`[DEBUG] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+      console.error(`[DEBUG]${spanTag()} ${message}`, data ? JSON.stringify(data, null, 2) : '');
     }
   }
 }
@@ -7,6 +7,20 @@ class Response {
     process.exit(0);
   }
   
+  /**
+   * Report progress before the final result (relayed by the broker over SSE)
+   */
+  static progress(data) {
+    console.log(JSON.stringify({ event: 'progress', data }));
+  }
+  
+  /**
+   * Emit a partial result before the final result
+   */
+  static partial(data) {
+    console.log(JSON.stringify({ event: 'partial', data }));
+  }
+  
   static error(code, message, details = null) {
     const response = { ok: false, code, msg: message };
     if (details) response.details = details;
@@ -0,0 +1,15 @@
+/**
+ * Helpers shared by the built-in adapters for the trace context the broker
+ * passes in as TRACEPARENT (W3C `traceparent`)
+ */
+
+/**
+ * ` [trace=... span=...]` for a traceparent, so debug output can be matched
+ * to the broker's spans (empty without one)
+ */
+function spanTag(traceparent = process.env.TRACEPARENT) {
+  const [, traceId, spanId] = (traceparent || '').split('-');
+  return spanId ? ` [trace=${traceId} span=${spanId}]` : '';
+}
+
+module.exports = { spanTag };
@@ -55,6 +55,22 @@ tell application "Mail"
   send m
 end tell`;
 
+// Dry run: report the message and the script instead of sending
+if (payload.dry_run === true) {
+  return ok({
+    dry_run: true,
+    effects: [{
+      action: 'send_email',
+      to: toList,
+      cc: ccList,
+      bcc: bccList,
+      subject,
+      attachments: args.attachments || []
+    }],
+    applescript: script
+  });
+}
+
 execFile('osascript', ['-e', script], (err) => {
   if (err) {
     return fail(50, `Failed to send email: ${err.message}`);
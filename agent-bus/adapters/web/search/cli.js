@@ -14,6 +14,8 @@ const { verb, args = {} } = payload;
 
 // Helper functions
 const ok = (data) => console.log(JSON.stringify({ ok: true, data }));
+// Progress and partial results, written before the final result line
+const emit = (event, data) => console.log(JSON.stringify({ event, data }));
 const fail = (code, msg, details) => {
   console.error(JSON.stringify({ 
     ok: false, 
@@ -461,7 +463,14 @@ async function performSearch(query, options = {}) {
   let successfulEngines = [];
 
   // Try each engine until we get results
-  for (const engineName of engineOrder) {
+  for (const [index, engineName] of engineOrder.entries()) {
+    emit('progress', {
+      engine: SEARCH_ENGINES[engineName]?.name || engineName,
+      attempt: index + 1,
+      engines: engineOrder.length,
+      results: combinedResults.length
+    });
+    
     try {
       const result = await searchWithEngine(query, engineName, { limit, timeout: CONFIG.TIMEOUT });
       
@@ -472,6 +481,15 @@ async function performSearch(query, options = {}) {
           results: result.results.length,
           fromCache: result.fromCache
         });
+        emit('partial', {
+          engine: result.engine,
+          results: result.results.map(r => ({
+            title: r.title,
+            url: r.url,
+            snippet: r.snippet,
+            source: r.source
+          }))
+        });
         
         // If we have enough results, stop trying more engines
         if (combinedResults.length >= limit) {
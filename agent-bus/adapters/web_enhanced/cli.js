@@ -3,19 +3,50 @@
 const path = require('path');
 const os = require('os');
 const fs = require('fs').promises;
+const readline = require('readline');
 const { EventEmitter } = require('events');
-
-// Structured output helpers
-const ok = (data) => console.log(JSON.stringify({ ok: true, data }));
+const { AsyncLocalStorage } = require('async_hooks');
+const { spanTag } = require('../lib/tracing');
+
+// Worker mode: stay alive and serve newline-delimited JSON requests from the
+// broker, so browser sessions survive between calls
+const WORKER_MODE = process.argv[2] === '--worker';
+const requestContext = new AsyncLocalStorage();
+
+// Thrown by fail() in worker mode to stop the handler, like process.exit does
+class RequestFailed extends Error {}
+
+// Structured output helpers (in worker mode they answer the current request)
+const ok = (data) => {
+  const request = requestContext.getStore();
+  if (request) return request.respond({ ok: true, data });
+  console.log(JSON.stringify({ ok: true, data }));
+};
 const fail = (code, msg, details) => {
+  const request = requestContext.getStore();
+  if (request) {
+    request.respond({ ok: false, code, msg, ...(details && { details }) });
+    throw new RequestFailed(msg);
+  }
   console.error(JSON.stringify({ ok: false, code, msg, ...(details && { details }) }));
   process.exit(1);
 };
 
 // Read payload
-const payload = JSON.parse(process.argv[2] || '{}');
+const payload = WORKER_MODE ? {} : JSON.parse(process.argv[2] || '{}');
 let { verb, args = {} } = payload;
 
+// The current call's environment and dry-run flag. A worker gets them with
+// each request; a one-shot run from its process environment and payload.
+const callEnv = (name) => requestContext.getStore()?.env[name] ?? process.env[name];
+const isDryRun = () => (requestContext.getStore() ?? payload).dry_run === true;
+
+// Debug output tagged with the broker's span from TRACEPARENT
+const logDebug = (message) => {
+  if (process.env.NODE_ENV !== 'development') return;
+  console.error(`[DEBUG]${spanTag(callEnv('TRACEPARENT'))} ${message}`);
+};
+
 // Normalize verb id
 const normalizeVerb = (v) => (v && v.startsWith('web_enhanced.') ? v : `web_enhanced.${v}`);
 
@@ -780,55 +811,122 @@ async function doEvaluate(args) {
   }
 }
 
-// Main execution
-(async () => {
-  try {
-    const id = normalizeVerb(verb);
-    switch (id) {
-      case 'web_enhanced.createSession':
-        return await doCreateSession(args);
-      case 'web_enhanced.open':
-        return await doOpen(args);
-      case 'web_enhanced.click':
-        return await doClick(args);
-      case 'web_enhanced.fill':
-        return await doFill(args);
-      case 'web_enhanced.read':
-        return await doRead(args);
-      case 'web_enhanced.wait':
-        return await doWait(args);
-      case 'web_enhanced.screenshot':
-        return await doScreenshot(args);
-      case 'web_enhanced.openTabs':
-        return await doOpenTabs(args);
-      case 'web_enhanced.switchTab':
-        return await doSwitchTab(args);
-      case 'web_enhanced.getTabs':
-        return await doGetTabs(args);
-      case 'web_enhanced.closeSession':
-        return await doCloseSession(args);
-      case 'web_enhanced.evaluate':
-        return await doEvaluate(args);
-      default:
-        return fail(10, 'UNKNOWN_VERB');
-    }
-  } catch (e) {
-    return fail(50, 'ADAPTER_ERROR', { message: e.message });
+// Verb dispatch
+async function dispatch(id, args) {
+  logDebug(`${id} ${JSON.stringify(args)}`);
+  
+  // None of these verbs declares dry_run, so never act on a dry run
+  if (isDryRun()) {
+    return fail(10, 'DRY_RUN_UNSUPPORTED', { message: `${id} does not support dry runs` });
   }
-})();
+  
+  switch (id) {
+    case 'web_enhanced.createSession':
+      return await doCreateSession(args);
+    case 'web_enhanced.open':
+      return await doOpen(args);
+    case 'web_enhanced.click':
+      return await doClick(args);
+    case 'web_enhanced.fill':
+      return await doFill(args);
+    case 'web_enhanced.read':
+      return await doRead(args);
+    case 'web_enhanced.wait':
+      return await doWait(args);
+    case 'web_enhanced.screenshot':
+      return await doScreenshot(args);
+    case 'web_enhanced.openTabs':
+      return await doOpenTabs(args);
+    case 'web_enhanced.switchTab':
+      return await doSwitchTab(args);
+    case 'web_enhanced.getTabs':
+      return await doGetTabs(args);
+    case 'web_enhanced.closeSession':
+      return await doCloseSession(args);
+    case 'web_enhanced.evaluate':
+      return await doEvaluate(args);
+    default:
+      return fail(10, 'UNKNOWN_VERB');
+  }
+}
 
-// Cleanup on exit
-process.on('SIGINT', async () => {
-  console.error('Shutting down gracefully...');
+// Serve requests from the broker, one JSON object per line on stdin
+function runWorker() {
+  const writeLine = (message) => process.stdout.write(JSON.stringify(message) + '\n');
+  const rl = readline.createInterface({ input: process.stdin });
+  let inFlight = 0;
+  let closing = false;
+  
+  rl.on('line', (line) => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      return;
+    }
+    
+    if (message.type === 'ping') {
+      return writeLine({ id: message.id, type: 'pong' });
+    }
+    
+    let responded = false;
+    const request = {
+      env: message.env || {},
+      dry_run: message.dry_run === true,
+      respond: (response) => {
+        if (responded) return;
+        responded = true;
+        writeLine({ id: message.id, ...response });
+      }
+    };
+    
+    inFlight++;
+    requestContext.run(request, async () => {
+      try {
+        await dispatch(normalizeVerb(message.verb), message.args || {});
+      } catch (e) {
+        if (!(e instanceof RequestFailed)) {
+          request.respond({ ok: false, code: 50, msg: 'ADAPTER_ERROR', details: { message: e.message } });
+        }
+      }
+      request.respond({ ok: false, code: 50, msg: 'ADAPTER_ERROR', details: { message: 'No result returned' } });
+      
+      inFlight--;
+      if (closing && inFlight === 0) shutdown();
+    });
+  });
+  
+  // The broker closes stdin when it no longer needs this worker
+  rl.on('close', () => {
+    closing = true;
+    if (inFlight === 0) shutdown();
+  });
+}
+
+async function shutdown() {
   for (const sessionId of sessionManager.activeSessions.keys()) {
     await sessionManager.closeSession(sessionId);
   }
   process.exit(0);
+}
+
+// Main execution
+if (WORKER_MODE) {
+  runWorker();
+} else {
+  (async () => {
+    try {
+      return await dispatch(normalizeVerb(verb), args);
+    } catch (e) {
+      return fail(50, 'ADAPTER_ERROR', { message: e.message });
+    }
+  })();
+}
+
+// Cleanup on exit
+process.on('SIGINT', async () => {
+  console.error('Shutting down gracefully...');
+  await shutdown();
 });
 
-process.on('SIGTERM', async () => {
-  for (const sessionId of sessionManager.activeSessions.keys()) {
-    await sessionManager.closeSession(sessionId);
-  }
-  process.exit(0);
-});
\ No newline at end of file
+process.on('SIGTERM', shutdown);
@@ -38,12 +38,21 @@ const child = spawn('node', [underlyingPath, JSON.stringify({ verb: underlyingVe
   env: process.env
 });
 
-let out = '';
+// The broker stops a timed out or cancelled call with SIGTERM (then SIGKILL,
+// which cannot be passed on): stop the search with it, forcefully if it
+// lingers. This process ends once the search has.
+process.on('SIGTERM', () => {
+  child.kill('SIGTERM');
+  setTimeout(() => child.kill('SIGKILL'), 1000).unref();
+});
+
+// Stream stdout as it arrives so progress events reach the broker live
 let err = '';
-child.stdout.on('data', d => out += d);
+child.stdout.pipe(process.stdout);
 child.stderr.on('data', d => err += d);
 child.on('close', (code) => {
-  if (code === 0) return process.stdout.write(out);
+  if (code === 0) return;
+  process.exitCode = code || 1;
   try { return process.stderr.write(err); }
   catch { return fail(50, 'ADAPTER_ERROR'); }
 });
@@ -0,0 +1,135 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { compileSchema, formatSchemaErrors } = require('./manifestLoader');
+const { logger } = require('./logger');
+const config = require('./config');
+
+// A list of names; `*` matches anything and `fs.*` every verb of a tool
+const patternList = { type: 'array', items: { type: 'string' } };
+
+// Schema for validating the keys file
+const keysFileSchema = {
+  type: 'object',
+  required: ['keys'],
+  properties: {
+    keys: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'caller_id', 'key_sha256'],
+        properties: {
+          id: { type: 'string' },
+          caller_id: { type: 'string' },
+          key_sha256: { type: 'string', pattern: '^[a-f0-9]{64}$' },
+          disabled: { type: 'boolean' },
+          scopes: {
+            type: 'object',
+            properties: {
+              tools: patternList,
+              verbs: patternList,
+              trust_tiers: { type: 'array', items: { type: 'string', enum: ['A', 'B', 'C'] } },
+              confirm: { type: 'boolean' }
+            },
+            additionalProperties: false
+          }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+const validateKeysFile = compileSchema(keysFileSchema);
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function matches(patterns, value) {
+  if (!patterns) return true; // no restriction
+  return patterns.some(pattern =>
+    pattern === '*' ||
+    pattern === value ||
+    (pattern.endsWith('.*') && value.startsWith(pattern.slice(0, -1)))
+  );
+}
+
+/**
+ * Whether a caller's scopes cover a verb. A null caller (authentication
+ * disabled) may use everything.
+ */
+function isAllowed(caller, toolId, verbId, trustTier) {
+  if (!caller) return true;
+
+  const { tools, verbs, trust_tiers: trustTiers } = caller.scopes;
+  return matches(tools, toolId) && matches(verbs, verbId) && matches(trustTiers, trustTier);
+}
+
+/**
+ * API keys from the broker keys file. Only SHA-256 hashes of the keys are
+ * stored; each key maps to a caller identity and its scopes.
+ */
+class ApiKeyStore {
+  constructor(file = config.KEYS_FILE) {
+    this.file = file;
+    this.keys = new Map(); // key hash -> caller
+    this.enabled = false;
+  }
+
+  /**
+   * (Re)load the keys file. Without a keys file authentication is off,
+   * unless REQUIRE_API_KEY is set, in which case every request is refused.
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      this.keys = new Map();
+      this.enabled = config.REQUIRE_API_KEY;
+      logger.warn(this.enabled
+        ? `Keys file ${this.file} not found, all requests will be refused`
+        : `Keys file ${this.file} not found, API key authentication is disabled`);
+      return;
+    }
+
+    const keysFile = JSON.parse(content);
+    if (!validateKeysFile(keysFile)) {
+      const error = new Error(`Invalid keys file ${this.file}`);
+      error.details = formatSchemaErrors(validateKeysFile.errors);
+      throw error;
+    }
+
+    const keys = new Map();
+    for (const entry of keysFile.keys) {
+      if (entry.disabled) continue;
+
+      keys.set(entry.key_sha256, {
+        id: entry.caller_id,
+        key_id: entry.id,
+        scopes: { confirm: false, ...entry.scopes }
+      });
+    }
+
+    this.keys = keys;
+    this.enabled = true;
+    logger.info(`Loaded ${keys.size} API keys`);
+  }
+
+  /**
+   * Resolve a presented key to its caller, or null if it is unknown
+   */
+  authenticate(key) {
+    if (!key) return null;
+    return this.keys.get(hashKey(key)) || null;
+  }
+}
+
+module.exports = {
+  ApiKeyStore,
+  isAllowed,
+  hashKey
+};
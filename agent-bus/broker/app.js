@@ -2,20 +2,172 @@ const express = require('express');
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs').promises;
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const config = require('./config');
 const { logger, logRequest } = require('./logger');
-const { loadManifests, getAllVerbs } = require('./manifestLoader');
+const {
+  discoverPackages,
+  loadManifests,
+  getAllVerbs,
+  createSchemaCompiler,
+  formatSchemaErrors
+} = require('./manifestLoader');
 const ToolRouter = require('./toolRouter');
+const WorkerPool = require('./workerPool');
+const JobStore = require('./jobStore');
+const BatchRunner = require('./batchRunner');
+const ManifestWatcher = require('./manifestWatcher');
+const { ApiKeyStore, isAllowed } = require('./apiKeys');
+const RateLimiter = require('./rateLimiter');
+const { ConfirmationStore, summarizeCall } = require('./confirmations');
+const PolicyEngine = require('./policy');
+const AuditLog = require('./auditLog');
+const ResultCache = require('./resultCache');
+const CircuitBreaker = require('./circuitBreaker');
+const { InvocationQueue, PRIORITIES } = require('./invocationQueue');
+const { checkRequirements } = require('./requirements');
+const metrics = require('./metrics');
+const { Tracer } = require('./tracing');
+const { buildOpenApi } = require('./openapi');
+const McpBridge = require('./mcpServer');
+const { FORMATS, toolDefinitions } = require('./toolFormats');
+const {
+  WORKFLOW_TOOL_ID,
+  WorkflowRunner,
+  loadWorkflows,
+  buildWorkflowManifest
+} = require('./workflowRunner');
+const { BrokerError } = require('./errors');
+
+const ADAPTER_EVENTS = ['progress', 'partial'];
+
+const WORKFLOWS_DIR = path.join(__dirname, '..', 'workflows');
+const ADAPTERS_DIR = path.join(__dirname, '..', 'adapters');
+const NODE_MODULES_DIR = path.join(__dirname, '..', 'node_modules');
+
+// Routes that do not take an API key (/admin and /audit need the admin token)
+const PUBLIC_ROUTES = [/^\/health$/, /^\/metrics$/, /^\/admin\//, /^\/audit$/];
+
+// Polled routes that would only add noise to the traces
+const UNTRACED_ROUTES = ['/health', '/metrics'];
+
+/**
+ * Response headers describing a rate limit state
+ */
+function rateLimitHeaders(state) {
+  const headers = {
+    'RateLimit-Limit': String(state.limit),
+    'RateLimit-Remaining': String(state.remaining),
+    'RateLimit-Reset': String(Math.ceil(state.resetMs / 1000))
+  };
+  if (!state.allowed) {
+    headers['Retry-After'] = String(Math.ceil(state.retryAfterMs / 1000));
+  }
+  return headers;
+}
+
+/**
+ * The `format` query parameter of /capabilities and /plan, if any
+ */
+function parseFormat(query) {
+  const { format } = query;
+  if (format !== undefined && !Object.hasOwn(FORMATS, format)) {
+    throw new BrokerError(400, 10, 'INVALID_ARGS',
+      `Unknown format: ${format} (expected ${Object.keys(FORMATS).join(', ')})`);
+  }
+  return format;
+}
+
+/**
+ * The retry policy for a verb: its own `retry` over its tool's, with
+ * defaults for what neither sets. Null when no error is retryable.
+ */
+function retryPolicy(manifest, verbDef) {
+  const policy = {
+    max_attempts: 3,
+    backoff_ms: 500,
+    backoff_multiplier: 2,
+    max_backoff_ms: 10 * 1000,
+    ...manifest.retry,
+    ...verbDef.retry
+  };
+  return policy.on?.length > 0 && policy.max_attempts > 1 ? policy : null;
+}
+
+/**
+ * Wait, unless the signal aborts first (rejecting with its reason)
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function etagOf(body) {
+  return `"${crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex').slice(0, 32)}"`;
+}
+
+/**
+ * Parse a `{"event": "progress" | "partial", "data": ...}` line written by an
+ * adapter before its final result, returns null for any other line
+ */
+function parseAdapterEvent(line) {
+  if (!line.startsWith('{"event"')) return null;
+  
+  try {
+    const message = JSON.parse(line);
+    return ADAPTER_EVENTS.includes(message.event) ? message : null;
+  } catch (error) {
+    return null;
+  }
+}
 
 class Broker {
   constructor() {
     this.app = express();
     this.manifests = {};
+    this.packages = {}; // tool -> { dir, entrypoint, source, name } of the adapter package
     this.verbCache = new Map(); // Cache for verb lookups
+    this.availability = {}; // tool -> { available, checks } from its manifest requirements
+    this.loadErrors = [];
     this.toolRouter = null;
+    this.capabilities = null; // /capabilities body, rebuilt on every load
+    this.capabilitiesEtag = null;
+    this.openapi = null; // /openapi.json body, rebuilt with the capabilities
+    this.openapiEtag = null;
+    this.reloading = Promise.resolve(); // reloads run one at a time
+    this.watcher = null;
+    this.apiKeys = new ApiKeyStore();
+    this.rateLimiter = new RateLimiter();
+    this.confirmations = new ConfirmationStore();
+    this.policy = new PolicyEngine();
+    this.auditLog = new AuditLog();
+    this.resultCache = new ResultCache();
+    this.circuitBreaker = new CircuitBreaker();
+    this.invocationQueue = new InvocationQueue();
+    this.tracer = new Tracer();
+    this.workerPool = new WorkerPool();
+    this.inflight = new Map(); // request id -> { controller, callerId }
+    this.adapterProcesses = new Set(); // running one-shot adapter processes
+    this.jobStore = new JobStore();
+    this.batchRunner = new BatchRunner(this);
+    this.workflowRunner = new WorkflowRunner(this);
+    this.mcp = new McpBridge(this);
     this.setupMiddleware();
     this.setupRoutes();
+    this.setupJobRoutes();
+    this.setupConfirmationRoutes();
+    this.setupAdminRoutes();
+    this.setupErrorHandling();
   }
 
   setupMiddleware() {
@@ -25,14 +177,70 @@ class Broker {
     // Log all requests
     this.app.use(logRequest);
     
-    // Add request ID
+    // Add request ID (callers may choose their own so they can cancel the call)
     this.app.use((req, res, next) => {
-      req.id = uuidv4();
+      req.id = req.get('x-request-id') || uuidv4();
+      next();
+    });
+    
+    // Trace each request, continuing the caller's trace when it sends a
+    // `traceparent`. The header is rewritten to the request's span, which
+    // makes it the parent of the spans recorded further down.
+    this.app.use((req, res, next) => {
+      if (UNTRACED_ROUTES.includes(req.path)) return next();
+      
+      const span = this.tracer.startSpan(`${req.method} ${req.path}`, {
+        parent: req.get('traceparent'),
+        attributes: { 'http.method': req.method, 'http.path': req.path, request_id: req.id }
+      });
+      req.span = span;
+      req.headers.traceparent = span.traceparent;
+      res.set('traceparent', span.traceparent);
+      
+      res.on('finish', () => {
+        span.setAttributes({ 'http.status_code': res.statusCode });
+        span.end(res.statusCode >= 500 ? new Error(`HTTP ${res.statusCode}`) : null);
+      });
       next();
     });
     
-    // Error handling
+    // Identify the caller from its API key
+    this.app.use((req, res, next) => this.authenticate(req, res, next));
+  }
+
+  /**
+   * Resolve `Authorization: Bearer <key>` (or `x-api-key`) to the caller and
+   * its scopes. `req.caller` is null when authentication is disabled.
+   */
+  authenticate(req, res, next) {
+    req.caller = null;
+    if (!this.apiKeys.enabled || PUBLIC_ROUTES.some(route => route.test(req.path))) {
+      return next();
+    }
+    
+    // Approvers may use the admin token instead of an API key
+    if (req.path.startsWith('/confirmations') && this.isAdminRequest(req)) {
+      return next();
+    }
+    
+    const authorization = req.get('authorization') || '';
+    const key = authorization.startsWith('Bearer ') ? authorization.slice(7) : req.get('x-api-key');
+    
+    req.caller = this.apiKeys.authenticate(key);
+    if (!req.caller) {
+      return next(new BrokerError(401, 11, 'UNAUTHORIZED', 'A valid API key is required'));
+    }
+    next();
+  }
+
+  setupErrorHandling() {
+    // Error handling (must be registered after the routes)
     this.app.use((err, req, res, next) => {
+      if (err instanceof BrokerError) {
+        if (err.headers) res.set(err.headers);
+        return res.status(err.status).json({ ...err.toJSON(), request_id: req.id });
+      }
+      
       logger.error('Unhandled error', {
         error: err.message,
         stack: err.stack,
@@ -48,19 +256,109 @@ class Broker {
     });
   }
 
+  /**
+   * Whether the request carries `Authorization: Bearer <ADMIN_TOKEN>`
+   */
+  isAdminRequest(req) {
+    const expected = Buffer.from(`Bearer ${config.ADMIN_TOKEN}`);
+    const given = Buffer.from(req.get('authorization') || '');
+    
+    return Boolean(config.ADMIN_TOKEN) && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Load the adapter packages (built-in, plugin directories and npm) and
+   * workflows and build the verb index. On a reload
+   * everything is built aside and swapped in at once, so in-flight requests
+   * never see a half-built index, and a tool whose new manifest is invalid
+   * keeps its previous version.
+   */
   async loadTools() {
     try {
-      const manifestsDir = path.join(__dirname, '..', 'manifests');
-      const { manifests, errors } = await loadManifests(manifestsDir);
+      const previous = this.manifests;
+      const previousPackages = this.packages;
+      const found = await discoverPackages({
+        adaptersDir: ADAPTERS_DIR,
+        pluginDirs: config.PLUGIN_DIRS,
+        nodeModulesDir: config.PLUGIN_NPM ? NODE_MODULES_DIR : null
+      });
+      const { manifests, packages, errors } = await loadManifests(found, { previous, previousPackages });
       
-      this.manifests = manifests;
-      this.toolRouter = new ToolRouter(manifests);
+      if (manifests[WORKFLOW_TOOL_ID]) {
+        errors.push({
+          package: packages[WORKFLOW_TOOL_ID].dir,
+          tool: WORKFLOW_TOOL_ID,
+          error: `tool_id '${WORKFLOW_TOOL_ID}' is reserved for workflows`
+        });
+        delete manifests[WORKFLOW_TOOL_ID];
+        delete packages[WORKFLOW_TOOL_ID];
+      }
       
-      // Build verb cache for faster lookups
-      this.verbCache.clear();
+      // Workflows are listed as the verbs of a synthetic `workflows` tool
+      const { workflows, errors: workflowErrors } = await loadWorkflows(WORKFLOWS_DIR, manifests);
+      errors.push(...workflowErrors);
+      if (Object.keys(workflows).length > 0) {
+        manifests[WORKFLOW_TOOL_ID] = buildWorkflowManifest(workflows, manifests);
+      }
+      
+      // Build verb cache for faster lookups, compiling each args schema once
+      const verbCache = new Map();
+      const compileVerbSchema = createSchemaCompiler();
       for (const [toolId, manifest] of Object.entries(manifests)) {
         for (const verb of manifest.verbs) {
-          this.verbCache.set(verb.id, { toolId, verb });
+          try {
+            const validateArgs = compileVerbSchema(verb.args);
+            const validateReturns = compileVerbSchema(verb.returns);
+            verbCache.set(verb.id, { toolId, verb, validateArgs, validateReturns });
+          } catch (error) {
+            errors.push({
+              tool: toolId,
+              verb: verb.id,
+              error: 'Invalid verb schema',
+              details: error.message
+            });
+            logger.warn(`Skipping verb ${verb.id}: invalid schema`, { error: error.message });
+          }
+        }
+      }
+      
+      // Tools whose requirements are not met here are listed as unavailable
+      const availability = {};
+      for (const [toolId, manifest] of Object.entries(manifests)) {
+        availability[toolId] = checkRequirements(manifest, { adapterDir: packages[toolId]?.dir });
+        if (!availability[toolId].available) {
+          logger.info(`Tool ${toolId} is unavailable on this machine`, {
+            reasons: availability[toolId].checks.filter(check => !check.ok).map(check => check.reason)
+          });
+        }
+      }
+      
+      const capabilities = this.buildCapabilities(manifests, availability);
+      const openapi = buildOpenApi(manifests, { include: (toolId, verbId) => verbCache.has(verbId) });
+      
+      // Swap in the new version; cached toolpacks carry over
+      this.manifests = manifests;
+      this.packages = packages;
+      this.verbCache = verbCache;
+      this.availability = availability;
+      this.loadErrors = errors;
+      this.toolRouter = new ToolRouter(manifests, this.toolRouter?.toolpackCache, availability);
+      this.workflowRunner.workflows = workflows;
+      this.capabilities = capabilities;
+      this.capabilitiesEtag = etagOf(capabilities);
+      this.openapi = openapi;
+      this.openapiEtag = etagOf(openapi);
+      this.mcp.notifyToolsChanged();
+      
+      // Adapters may have changed along with their manifests
+      this.resultCache.clear();
+      
+      // Workers of changed, moved or removed tools still run the old definition
+      for (const toolId of Object.keys(previous)) {
+        if ((previous[toolId] !== manifests[toolId] &&
+            JSON.stringify(previous[toolId]) !== JSON.stringify(manifests[toolId])) ||
+            previousPackages[toolId]?.entrypoint !== packages[toolId]?.entrypoint) {
+          this.workerPool.retire(toolId);
         }
       }
       
@@ -73,36 +371,198 @@ class Broker {
     }
   }
 
+  /**
+   * Reload tools, queued behind any reload already running
+   */
+  reloadTools() {
+    const reload = this.reloading.then(() => this.loadTools());
+    this.reloading = reload.catch(() => {});
+    return reload;
+  }
+
+  /**
+   * Called by the file watcher: restart the workers of edited adapters and
+   * reload manifests and workflows
+   */
+  async handleFileChanges(files) {
+    for (const [toolId, { dir }] of Object.entries(this.packages)) {
+      const changed = files.some(file => {
+        const relative = path.relative(dir, file);
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+      });
+      if (changed) this.workerPool.retire(toolId);
+    }
+    
+    logger.info('Reloading tools after file changes', { files: files.length });
+    await this.reloadTools();
+  }
+
+  /**
+   * Build the /capabilities response body for a set of manifests, marking
+   * the tools whose requirements are not met with `available: false` and
+   * the reasons
+   */
+  buildCapabilities(manifests, availability = {}) {
+    const tools = [];
+    
+    for (const [toolId, manifest] of Object.entries(manifests)) {
+      const { available = true, checks = [] } = availability[toolId] || {};
+      tools.push({
+        tool_id: toolId,
+        version: manifest.version,
+        trust_tier: manifest.trust_tier,
+        description: manifest.description || '',
+        available,
+        ...(!available && { reasons: checks.filter(check => !check.ok).map(check => check.reason) }),
+        verbs: manifest.verbs.map(verb => ({
+          id: verb.id,
+          description: verb.description || '',
+          args_schema: verb.args,
+          returns_schema: verb.returns,
+          confirm: !!verb.confirm,
+          dry_run: !!verb.dry_run,
+          examples: verb.examples || []
+        }))
+      });
+    }
+    
+    return {
+      schema_version: '1.0',
+      tools
+    };
+  }
+
   setupRoutes() {
     // Health check
     this.app.get('/health', (req, res) => {
       res.json({ status: 'ok', version: config.VERSION });
     });
 
-    // Get capabilities
+    // Get capabilities (the ETag changes whenever the tool list does).
+    // Callers with restricted scopes only see the verbs they may use.
+    // `?format=openai|anthropic|gemini|jsonschema` lists them as tool
+    // definitions for that model API instead.
     this.app.get('/capabilities', (req, res) => {
-      const tools = [];
-      
-      for (const [toolId, manifest] of Object.entries(this.manifests)) {
-        tools.push({
-          tool_id: toolId,
-          version: manifest.version,
-          trust_tier: manifest.trust_tier,
-          description: manifest.description || '',
-          verbs: manifest.verbs.map(verb => ({
-            id: verb.id,
-            description: verb.description || '',
-            args_schema: verb.args,
-            returns_schema: verb.returns,
-            confirm: !!verb.confirm,
-            examples: verb.examples || []
-          }))
+      const format = parseFormat(req.query);
+      let capabilities = this.capabilities;
+      let etag = this.capabilitiesEtag;
+      
+      if (req.caller) {
+        capabilities = {
+          ...capabilities,
+          tools: capabilities.tools
+            .map(tool => ({
+              ...tool,
+              verbs: tool.verbs.filter(verb => isAllowed(req.caller, tool.tool_id, verb.id, tool.trust_tier))
+            }))
+            .filter(tool => tool.verbs.length > 0)
+        };
+        etag = etagOf(capabilities);
+      }
+      
+      // Models are only offered tools that can run here
+      if (format) {
+        capabilities = {
+          schema_version: capabilities.schema_version,
+          ...toolDefinitions(capabilities.tools.filter(tool => tool.available).flatMap(tool => tool.verbs), format)
+        };
+        etag = etagOf(capabilities);
+      }
+      
+      res.set('ETag', etag);
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      
+      res.json(capabilities);
+    });
+
+    // OpenAPI document with one operation per verb (scoped like /capabilities)
+    this.app.get('/openapi.json', (req, res) => {
+      let openapi = this.openapi;
+      let etag = this.openapiEtag;
+      
+      if (req.caller) {
+        openapi = buildOpenApi(this.manifests, {
+          include: (toolId, verbId, trustTier) =>
+            this.verbCache.has(verbId) && isAllowed(req.caller, toolId, verbId, trustTier)
         });
+        etag = etagOf(openapi);
       }
       
+      res.set('ETag', etag);
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      
+      res.json(openapi);
+    });
+
+    // Model Context Protocol over streamable HTTP
+    if (config.MCP_HTTP) {
+      this.app.all('/mcp', async (req, res, next) => {
+        try {
+          await this.mcp.handleHttp(req, res);
+        } catch (error) {
+          if (res.headersSent) {
+            logger.error('MCP request failed', { error: error.message });
+          } else {
+            next(error);
+          }
+        }
+      });
+    }
+
+    // Prometheus metrics
+    this.app.get('/metrics', async (req, res, next) => {
+      try {
+        metrics.toolpacks.set(this.toolRouter ? this.toolRouter.toolpackCache.size : 0);
+        metrics.cacheEntries.set(this.resultCache.size);
+        metrics.circuitState.reset();
+        for (const [tool, state] of Object.entries(this.circuitBreaker.states())) {
+          metrics.circuitState.set({ tool }, state === 'open' ? 2 : 1);
+        }
+        metrics.queuedInvocations.reset();
+        for (const [tool, depth] of Object.entries(this.invocationQueue.depths())) {
+          metrics.queuedInvocations.set({ tool }, depth);
+        }
+        metrics.childProcesses.set({ kind: 'adapter' }, this.adapterProcesses.size);
+        metrics.childProcesses.set({ kind: 'worker' }, this.workerPool.size());
+        
+        res.set('Content-Type', metrics.register.contentType);
+        res.send(await metrics.register.metrics());
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // What keeps tools from running here: unmet requirements with fix
+    // hints, manifests that failed to load and open circuits
+    this.app.get('/doctor', (req, res) => {
+      const tools = Object.keys(this.manifests).map(toolId => ({
+        tool_id: toolId,
+        ...(this.packages[toolId] && { package: this.packages[toolId] }),
+        ...(this.availability[toolId] || { available: true, checks: [] })
+      }));
+      const unavailable = tools.filter(tool => !tool.available).length;
+
       res.json({
-        schema_version: '1.0',
-        tools
+        ok: true,
+        data: {
+          version: config.VERSION,
+          platform: process.platform,
+          arch: process.arch,
+          node: process.version,
+          summary: {
+            tools: tools.length,
+            available: tools.length - unavailable,
+            unavailable,
+            load_errors: this.loadErrors.length
+          },
+          tools,
+          load_errors: this.loadErrors,
+          circuits: this.circuitBreaker.states()
+        }
       });
     });
 
@@ -112,6 +572,7 @@ class Broker {
     this.app.post('/plan', async (req, res, next) => {
       try {
         const { goal, max_tools = 8 } = req.body;
+        const format = parseFormat(req.query);
         
         if (!goal) {
           return res.status(400).json({
@@ -122,10 +583,50 @@ class Broker {
           });
         }
         
-        const toolpack = this.toolRouter.createToolpack(goal, max_tools);
+        const toolpack = this.toolRouter.createToolpack(goal, max_tools, {
+          filter: (toolId, verbId, trustTier) => isAllowed(req.caller, toolId, verbId, trustTier)
+        });
         res.json({
           ok: true,
-          data: toolpack
+          data: format
+            ? { ...toolpack, ...toolDefinitions(toolpack.tools.map(tool => ({ ...tool, id: tool.verb })), format) }
+            : toolpack
+        });
+        
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Dry run of the policy: which rule decides an /invoke body, and why
+    // the rules before it did not match. Nothing is run.
+    this.app.post('/policy/explain', (req, res, next) => {
+      try {
+        const { tool, verb, args = {}, caller_id } = req.body;
+        
+        const verbInfo = this.findVerb(tool, verb);
+        if (!verbInfo) {
+          throw new BrokerError(404, 10, 'UNKNOWN_VERB', `Unknown tool/verb: ${tool}.${verb}`);
+        }
+        
+        // Schema defaults take part in the decision, as they do for /invoke
+        if (!verbInfo.validateArgs(args)) {
+          throw new BrokerError(400, 10, 'INVALID_ARGS', {
+            verb: verbInfo.verb.id,
+            errors: formatSchemaErrors(verbInfo.validateArgs.errors)
+          });
+        }
+        
+        const callerId = req.caller ? req.caller.id : caller_id;
+        const decision = this.evaluatePolicy(callerId, verbInfo, args, { explain: true });
+        res.json({
+          ok: true,
+          data: {
+            caller_id: callerId ?? null,
+            verb: verbInfo.verb.id,
+            policy_file: this.policy.enabled ? this.policy.file : null,
+            ...decision
+          }
         });
         
       } catch (error) {
@@ -134,128 +635,981 @@ class Broker {
     });
 
     // Invoke a tool
-    this.app.post('/invoke', async (req, res, next) => {
+    const invoke = async (req, res, next) => {
+      try {
+        const invocation = this.prepareInvocation(req.body, req.headers, req.caller);
+        res.set(rateLimitHeaders(invocation.rateLimit));
+        const result = await this.performInvocation(req.id, invocation);
+        res.json(result);
+        
+      } catch (error) {
+        if (error.needsApproval) return this.requestConfirmation(req, res, next, 'invoke');
+        next(error);
+      }
+    };
+    this.app.post('/invoke', invoke);
+    
+    // The same, one route per verb (as described in /openapi.json): the body
+    // holds the args and the other /invoke fields come as headers
+    this.app.post('/invoke/:tool/:verb', (req, res, next) => {
+      const timeout = req.get('x-timeout-ms');
+      req.body = {
+        tool: req.params.tool,
+        verb: req.params.verb,
+        args: req.body,
+        caller_id: req.get('x-caller-id'),
+        toolpack_id: req.get('x-toolpack-id'),
+        ...(timeout !== undefined && { timeout_ms: Number(timeout) }),
+        ...(req.get('x-dry-run') !== undefined && { dry_run: req.get('x-dry-run') === 'true' }),
+        ...(req.get('x-priority') !== undefined && { priority: req.get('x-priority') })
+      };
+      next();
+    }, invoke);
+
+    // Invoke a tool, relaying progress and partial results as Server-Sent Events
+    this.app.post('/invoke/stream', (req, res, next) => {
+      let invocation;
+      try {
+        invocation = this.prepareInvocation(req.body, req.headers, req.caller);
+      } catch (error) {
+        if (error.needsApproval) return this.requestConfirmation(req, res, next, 'invoke');
+        return next(error);
+      }
+      
+      res.writeHead(200, {
+        ...rateLimitHeaders(invocation.rateLimit),
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      
+      const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+      
+      // Stop the adapter if the client goes away before the result
+      res.on('close', () => {
+        if (!res.writableEnded) this.cancelInvocation(req.id);
+      });
+      
+      this.performInvocation(req.id, invocation, {
+        onEvent: (event) => send(event.event, event.data)
+      })
+        .then(result => send('result', result))
+        .catch(error => {
+          const envelope = error instanceof BrokerError
+            ? error.toJSON()
+            : { ok: false, code: error.code || 50, msg: error.message || 'ADAPTER_ERROR' };
+          send('error', { ...envelope, request_id: req.id });
+        })
+        .finally(() => res.end());
+    });
+
+    // Invoke several steps at once; steps can depend on each other and
+    // reference earlier outputs in their args
+    this.app.post('/invoke/batch', async (req, res, next) => {
       const startTime = Date.now();
-      const { tool, verb, args = {}, caller_id, toolpack_id } = req.body;
-      const requestId = req.id;
       
       try {
-        // Input validation
-        if (!tool || !verb) {
-          return res.status(400).json({
-            ok: false,
-            code: 10,
-            msg: 'INVALID_ARGS',
-            details: 'Missing required fields: tool, verb'
-          });
+        const results = await this.batchRunner.run(req.id, req.body, req.headers, req.caller);
+        res.json({
+          ok: results.every(result => result.ok),
+          data: { steps: results },
+          meta: {
+            duration_ms: Date.now() - startTime,
+            request_id: req.id
+          }
+        });
+        
+      } catch (error) {
+        if (error.needsApproval) return this.requestConfirmation(req, res, next, 'batch');
+        next(error);
+      }
+    });
+
+    // Cancel an in-flight invocation
+    this.app.delete('/invocations/:request_id', (req, res) => {
+      const requestId = req.params.request_id;
+      
+      if (!this.cancelInvocation(requestId, req.caller)) {
+        return res.status(404).json({
+          ok: false,
+          code: 10,
+          msg: 'UNKNOWN_INVOCATION',
+          details: `No in-flight invocation with request id ${requestId}`
+        });
+      }
+      
+      res.json({
+        ok: true,
+        data: { request_id: requestId, cancelled: true }
+      });
+    });
+  }
+
+  setupJobRoutes() {
+    // Start an invocation in the background and return its job id right away
+    this.app.post('/jobs', (req, res, next) => {
+      try {
+        const jobId = req.id;
+        if (this.jobStore.has(jobId)) {
+          throw new BrokerError(409, 10, 'DUPLICATE_REQUEST_ID', `A job with id ${jobId} already exists`);
         }
         
-        // Determine the full verb id (accept shorthand like 'read')
-        const requestedVerbId = this.verbCache.has(verb) ? verb : `${tool}.${verb}`;
+        // Jobs are background work unless the request says otherwise
+        const invocation = this.prepareInvocation({ priority: 'background', ...req.body }, req.headers, req.caller);
+        res.set(rateLimitHeaders(invocation.rateLimit));
+        const job = this.startInvocationJob(jobId, invocation);
+        
+        res.status(202).json({
+          ok: true,
+          data: {
+            job_id: job.id,
+            status: job.status,
+            created_at: job.created_at
+          }
+        });
+        
+      } catch (error) {
+        if (error.needsApproval) return this.requestConfirmation(req, res, next, 'invoke');
+        next(error);
+      }
+    });
 
-        // Check toolpack access if toolpack_id is provided
-        if (toolpack_id) {
-          const { valid, error, message } = this.toolRouter.validateToolpackAccess(
-            toolpack_id,
-            tool,
-            requestedVerbId
-          );
-          
-          if (!valid) {
-            return res.status(403).json({
-              ok: false,
-              code: 11, // NO_SCOPE
-              msg: error,
-              details: message
-            });
+    // Job status, progress and result
+    this.app.get('/jobs/:id', (req, res, next) => {
+      const job = this.jobStore.get(req.params.id);
+      if (!job || (req.caller && job.caller_id !== req.caller.id)) {
+        return next(new BrokerError(404, 10, 'UNKNOWN_JOB', `No job with id ${req.params.id}`));
+      }
+      
+      res.json({ ok: true, data: job });
+    });
+
+    // Cancel a running job
+    this.app.delete('/jobs/:id', (req, res, next) => {
+      const job = this.jobStore.get(req.params.id);
+      if (!job || (req.caller && job.caller_id !== req.caller.id)) {
+        return next(new BrokerError(404, 10, 'UNKNOWN_JOB', `No job with id ${req.params.id}`));
+      }
+      
+      if (this.jobStore.isFinished(job) || !this.cancelInvocation(job.id, req.caller)) {
+        return next(new BrokerError(409, 10, 'JOB_NOT_RUNNING', `Job ${job.id} is already ${job.status}`));
+      }
+      
+      res.json({
+        ok: true,
+        data: { job_id: job.id, status: 'cancelled' }
+      });
+    });
+  }
+
+  /**
+   * Run a prepared invocation as a job, keeping its latest progress event
+   * and final result in the job store
+   */
+  startInvocationJob(jobId, invocation) {
+    const onEvent = (event) => {
+      if (event.event === 'progress') {
+        this.jobStore.update(jobId, { progress: event.data });
+      }
+    };
+    
+    return this.startJob(
+      { id: jobId, tool: invocation.tool, verb: invocation.verbId, callerId: invocation.callerId },
+      () => this.performInvocation(jobId, invocation, { onEvent })
+    );
+  }
+
+  /**
+   * Create a job and settle it with the outcome of `run()`
+   */
+  startJob(jobInfo, run) {
+    const job = this.jobStore.create(jobInfo);
+    
+    run()
+      .then(result => {
+        this.jobStore.update(job.id, { status: 'succeeded', result });
+      })
+      .catch(error => {
+        const cancelled = error instanceof BrokerError && error.message === 'CANCELLED';
+        this.jobStore.update(job.id, {
+          status: cancelled ? 'cancelled' : 'failed',
+          error: {
+            code: error.code || 50,
+            msg: error.message || 'ADAPTER_ERROR',
+            ...(error.details !== undefined && { details: error.details })
           }
-        }
+        });
+      });
+    
+    return job;
+  }
+
+  /**
+   * Hold a call that needs approval and answer 202 with its confirmation
+   * token. `kind` is `invoke` (also used for /invoke/stream and /jobs) or
+   * `batch`.
+   */
+  requestConfirmation(req, res, next, kind) {
+    try {
+      const details = this.holdForApproval(kind, req.body, req.caller);
+      res.status(202).json({
+        ok: false,
+        code: 12,
+        msg: 'PENDING_CONFIRMATION',
+        details,
+        request_id: req.id
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Record a pending confirmation for a request body and return the details
+   * the caller needs to follow it up. Each held call counts against the
+   * caller's rate limits (it runs, and counts again, once approved), and a
+   * caller may have at most CONFIRM_MAX_PENDING confirmations pending.
+   */
+  holdForApproval(kind, body, caller) {
+    const callerId = caller ? caller.id : body.caller_id;
+    const calls = kind === 'batch' ? body.steps : [body];
+    const held = calls
+      .map(call => ({ call, verbInfo: this.findVerb(call.tool, call.verb) }))
+      .filter(({ call, verbInfo }) => verbInfo && (verbInfo.verb.confirm ||
+        this.evaluatePolicy(callerId, verbInfo, call.args || {}).effect === 'confirm'));
+    
+    const pending = this.confirmations.pendingCount(callerId);
+    if (pending >= config.CONFIRM_MAX_PENDING) {
+      throw new BrokerError(429, 54, 'TOO_MANY_PENDING_CONFIRMATIONS',
+        `Caller ${callerId ?? 'unknown'} already has ${pending} calls waiting for approval`);
+    }
+    for (const { verbInfo } of held) {
+      this.consumeRateLimit(callerId, verbInfo);
+    }
+    
+    const summary = held.map(({ call, verbInfo }) => summarizeCall(verbInfo.verb, call.args)).join('\n');
+    const confirmation = this.confirmations.create({
+      kind,
+      body,
+      summary,
+      caller,
+      callerId
+    });
+    
+    return {
+      token: confirmation.token,
+      summary,
+      expires_at: confirmation.expires_at,
+      job_id: confirmation.token
+    };
+  }
+
+  setupConfirmationRoutes() {
+    // Approvers are admins (admin token) and callers whose key may confirm
+    const isApprover = (req) => this.isAdminRequest(req) || Boolean(req.caller?.scopes.confirm);
+    
+    const findConfirmation = (req) => {
+      const confirmation = this.confirmations.get(req.params.token);
+      const isRequester = req.caller && confirmation?.caller_id === req.caller.id;
+      if (!confirmation || !(isApprover(req) || isRequester)) {
+        throw new BrokerError(404, 10, 'UNKNOWN_CONFIRMATION', `No confirmation with token ${req.params.token}`);
+      }
+      return confirmation;
+    };
+    
+    // Check that the request may decide on a pending confirmation
+    const findPending = (req) => {
+      const confirmation = findConfirmation(req);
+      if (!isApprover(req)) {
+        throw new BrokerError(403, 11, 'NO_SCOPE', 'Only an approver can decide on a confirmation');
+      }
+      if (!this.isAdminRequest(req) && confirmation.caller_id === req.caller?.id) {
+        throw new BrokerError(403, 11, 'NO_SCOPE', 'A caller cannot approve or reject its own calls');
+      }
+      if (confirmation.status !== 'pending') {
+        throw new BrokerError(409, 10, 'CONFIRMATION_NOT_PENDING', `Confirmation is already ${confirmation.status}`);
+      }
+      return confirmation;
+    };
+    
+    const decide = (req, confirmation, status) => {
+      const decidedBy = this.isAdminRequest(req) ? 'admin' : req.caller.id;
+      return this.confirmations.decide(confirmation, status, decidedBy, req.body?.reason || null);
+    };
+    
+    // List confirmations (pending ones unless ?status= says otherwise)
+    this.app.get('/confirmations', (req, res, next) => {
+      if (!isApprover(req)) {
+        return next(new BrokerError(403, 11, 'NO_SCOPE', 'Only an approver can list confirmations'));
+      }
+      
+      const confirmations = this.confirmations.list(req.query.status || 'pending');
+      res.json({ ok: true, data: confirmations.map(c => this.confirmations.view(c)) });
+    });
+    
+    this.app.get('/confirmations/:token', (req, res, next) => {
+      try {
+        res.json({ ok: true, data: this.confirmations.view(findConfirmation(req)) });
+      } catch (error) {
+        next(error);
+      }
+    });
+    
+    // Approve: the held call runs as a job whose id is the token
+    this.app.post('/confirmations/:token/approve', (req, res, next) => {
+      try {
+        const confirmation = findPending(req);
+        const { token, body, caller } = confirmation;
         
-        // Find the tool and verb
-        const verbInfo = this.verbCache.get(requestedVerbId);
-        if (!verbInfo || verbInfo.toolId !== tool) {
-          return res.status(404).json({
-            ok: false,
-            code: 10,
-            msg: 'UNKNOWN_VERB',
-            details: `Unknown tool/verb: ${tool}.${verb}`
+        if (confirmation.kind === 'batch') {
+          decide(req, confirmation, 'approved');
+          // Registered under the token so DELETE /jobs/:token cancels every step
+          const controller = new AbortController();
+          this.inflight.set(token, { controller, callerId: confirmation.caller_id });
+          this.startJob({ id: token, tool: null, verb: 'batch', callerId: confirmation.caller_id }, async () => {
+            try {
+              const results = await this.batchRunner.run(token, body, { traceparent: req.headers.traceparent }, caller, {
+                approval: token,
+                signal: controller.signal
+              });
+              if (controller.signal.aborted) throw controller.signal.reason;
+              return { ok: results.every(result => result.ok), data: { steps: results }, meta: { request_id: token } };
+            } finally {
+              this.inflight.delete(token);
+            }
           });
+        } else {
+          // Prepared first so a call that can no longer run stays pending
+          const invocation = this.prepareInvocation(body, { traceparent: req.headers.traceparent }, caller, { approval: token });
+          decide(req, confirmation, 'approved');
+          this.startInvocationJob(token, invocation);
         }
         
-        const { verb: verbDef } = verbInfo;
+        res.json({
+          ok: true,
+          data: { token, status: confirmation.status, job_id: token }
+        });
         
-        // Check for required confirmation
-        if (verbDef.confirm && req.get('x-confirm') !== 'yes') {
-          return res.status(403).json({
-            ok: false,
-            code: 12,
-            msg: 'CONFIRM_REQUIRED',
-            details: `Confirmation required for ${tool}.${verb}`
-          });
+      } catch (error) {
+        next(error);
+      }
+    });
+    
+    this.app.post('/confirmations/:token/reject', (req, res, next) => {
+      try {
+        const confirmation = decide(req, findPending(req), 'rejected');
+        res.json({
+          ok: true,
+          data: { token: confirmation.token, status: confirmation.status }
+        });
+        
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  setupAdminRoutes() {
+    // Admin routes require `Authorization: Bearer <ADMIN_TOKEN>`
+    const requireAdmin = (req, res, next) => {
+      if (!this.isAdminRequest(req)) {
+        return next(new BrokerError(401, 11, 'UNAUTHORIZED', 'A valid admin token is required'));
+      }
+      next();
+    };
+    
+    // Search the audit log, newest records first
+    this.app.get('/audit', requireAdmin, async (req, res, next) => {
+      try {
+        const { caller, tool, verb, from, to, outcome, limit = '100' } = req.query;
+        
+        const range = {};
+        for (const [name, value] of Object.entries({ from, to })) {
+          if (value === undefined) continue;
+          range[name] = Date.parse(value);
+          if (Number.isNaN(range[name])) {
+            throw new BrokerError(400, 10, 'INVALID_ARGS', `${name} must be a date`);
+          }
+        }
+        if (outcome !== undefined && !['ok', 'error'].includes(outcome)) {
+          throw new BrokerError(400, 10, 'INVALID_ARGS', 'outcome must be ok or error');
+        }
+        const max = parseInt(limit, 10);
+        if (!(max > 0 && max <= 1000)) {
+          throw new BrokerError(400, 10, 'INVALID_ARGS', 'limit must be between 1 and 1000');
         }
         
-        // Execute the tool
-        const result = await this.executeTool(tool, requestedVerbId, args);
-        const duration = Date.now() - startTime;
+        const records = await this.auditLog.query({ caller, tool, verb, ...range, outcome, limit: max });
+        res.json({ ok: true, data: { records, count: records.length } });
         
-        // Log the invocation
-        logger.logInvocation(
-          tool,
-          verb,
-          args,
-          { ...result, duration },
-          null,
-          caller_id
-        );
+      } catch (error) {
+        next(error);
+      }
+    });
+    
+    // Reload manifests, workflows, API keys and the policy from disk
+    this.app.post('/admin/reload', requireAdmin, async (req, res, next) => {
+      try {
+        const { manifests, errors } = await this.reloadTools();
+        
+        // An invalid keys or policy file leaves the current one in place
+        for (const store of [this.apiKeys, this.policy]) {
+          try {
+            await store.load();
+          } catch (error) {
+            errors.push({ file: store.file, error: error.message, details: error.details });
+          }
+        }
         
         res.json({
           ok: true,
-          data: result.data,
-          meta: {
-            tool,
-            verb: requestedVerbId,
-            duration_ms: duration,
-            request_id: requestId
+          data: {
+            tools: Object.keys(manifests).length,
+            verbs: this.verbCache.size,
+            etag: this.capabilitiesEtag,
+            errors
           }
         });
         
       } catch (error) {
-        const duration = Date.now() - startTime;
+        next(error);
+      }
+    });
+  }
+
+  /**
+   * Look up a verb by tool and verb name (shorthand like 'read' is accepted)
+   */
+  findVerb(tool, verb) {
+    const verbId = this.verbCache.has(verb) ? verb : `${tool}.${verb}`;
+    const verbInfo = this.verbCache.get(verbId);
+    return verbInfo && verbInfo.toolId === tool ? verbInfo : null;
+  }
+
+  /**
+   * Check that a caller may run a verb: its key's scopes must cover the verb,
+   * the policy must not deny the call (`call` is `{ callerId, args }`; the
+   * policy is skipped without it) and confirm-required verbs must have been
+   * approved (`approval` is the confirmation token). Unapproved calls throw an
+   * error flagged `needsApproval`, which the routes turn into a pending
+   * confirmation. In `header` mode `x-confirm: yes` from a caller allowed to
+   * confirm is enough. Dry runs (`call.dryRun`) change nothing, so they need
+   * no confirmation.
+   */
+  authorize(caller, verbInfo, headers = {}, approval = null, call = null) {
+    const { toolId, verb: verbDef } = verbInfo;
+    
+    if (!isAllowed(caller, toolId, verbDef.id, this.manifests[toolId].trust_tier)) {
+      throw new BrokerError(403, 11, 'NO_SCOPE', `Caller ${caller.id} may not use ${verbDef.id}`);
+    }
+    
+    const decision = call
+      ? this.tracer.trace('policy', { parent: headers.traceparent, attributes: { verb: verbDef.id } }, (span) => {
+        const result = this.checkPolicy(call.callerId, verbInfo, call.args);
+        span.setAttributes({ 'policy.effect': result.effect, 'policy.rule': result.rule });
+        return result;
+      })
+      : null;
+    const confirm = !call?.dryRun && (verbDef.confirm || decision?.effect === 'confirm');
+    
+    if (confirm && !approval) {
+      if (config.CONFIRM_MODE === 'token') {
+        const error = new BrokerError(403, 12, 'CONFIRM_REQUIRED', `${verbDef.id} must be approved first`);
+        error.needsApproval = true;
+        throw error;
+      }
+      
+      if (headers['x-confirm'] !== 'yes') {
+        throw new BrokerError(403, 12, 'CONFIRM_REQUIRED', `Confirmation required for ${verbDef.id}`);
+      }
+      if (caller && !caller.scopes.confirm) {
+        throw new BrokerError(403, 11, 'NO_SCOPE', `Caller ${caller.id} may not confirm ${verbDef.id}`);
+      }
+    }
+  }
+
+  /**
+   * The policy's decision on a call (see PolicyEngine.evaluate)
+   */
+  evaluatePolicy(callerId, verbInfo, args, options = {}) {
+    const { toolId, verb: verbDef } = verbInfo;
+    return this.policy.evaluate({
+      caller: callerId,
+      tool: toolId,
+      verb: verbDef.id,
+      trustTier: this.manifests[toolId].trust_tier,
+      args
+    }, options);
+  }
+
+  /**
+   * Like evaluatePolicy, but throws POLICY_DENIED when a rule (or the
+   * default) denies the call
+   */
+  checkPolicy(callerId, verbInfo, args) {
+    const decision = this.evaluatePolicy(callerId, verbInfo, args);
+    
+    if (decision.effect === 'deny') {
+      logger.warn(`Policy denied ${verbInfo.verb.id}`, { callerId, rule: decision.rule });
+      throw new BrokerError(403, 11, 'POLICY_DENIED', {
+        verb: verbInfo.verb.id,
+        rule: decision.rule,
+        description: decision.description
+      });
+    }
+    return decision;
+  }
+
+  /**
+   * Resolve and check an /invoke request body: verb lookup, toolpack scope,
+   * args schema, dry-run support, caller scopes, policy, confirmation and
+   * timeout. Throws a BrokerError when the call must not run. With
+   * authentication on, the verified `caller` replaces the self-asserted
+   * `caller_id`.
+   */
+  prepareInvocation(body, headers = {}, caller = null, { approval = null } = {}) {
+    const { tool, verb, args = {}, caller_id, toolpack_id, timeout_ms, dry_run: dryRun = false, priority = 'normal' } = body;
+    
+    // Input validation
+    if (!tool || !verb) {
+      throw new BrokerError(400, 10, 'INVALID_ARGS', 'Missing required fields: tool, verb');
+    }
+    if (typeof dryRun !== 'boolean') {
+      throw new BrokerError(400, 10, 'INVALID_ARGS', 'dry_run must be a boolean');
+    }
+    if (!PRIORITIES.includes(priority)) {
+      throw new BrokerError(400, 10, 'INVALID_ARGS', `priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
+    
+    // Determine the full verb id (accept shorthand like 'read')
+    const requestedVerbId = this.verbCache.has(verb) ? verb : `${tool}.${verb}`;
+    
+    // Check toolpack access if toolpack_id is provided
+    if (toolpack_id) {
+      const { valid, error, message } = this.toolRouter.validateToolpackAccess(
+        toolpack_id,
+        tool,
+        requestedVerbId
+      );
+      
+      if (!valid) {
+        throw new BrokerError(403, 11, error, message); // NO_SCOPE
+      }
+    }
+    
+    // Find the tool and verb
+    const verbInfo = this.findVerb(tool, verb);
+    if (!verbInfo) {
+      throw new BrokerError(404, 10, 'UNKNOWN_VERB', `Unknown tool/verb: ${tool}.${verb}`);
+    }
+    
+    const { verb: verbDef, validateArgs } = verbInfo;
+    
+    // Only adapters that declare it know to leave things untouched
+    if (dryRun && !verbDef.dry_run) {
+      throw new BrokerError(400, 10, 'DRY_RUN_UNSUPPORTED', `${requestedVerbId} does not support dry runs`);
+    }
+    
+    // Validate args against the manifest schema (applies schema defaults)
+    this.tracer.trace('validate', { parent: headers.traceparent, attributes: { verb: requestedVerbId } }, () => {
+      if (!validateArgs(args)) {
+        throw new BrokerError(400, 10, 'INVALID_ARGS', {
+          verb: requestedVerbId,
+          errors: formatSchemaErrors(validateArgs.errors)
+        });
+      }
+    });
+    
+    // Check the caller's scopes, the policy and confirmation
+    const callerId = caller ? caller.id : caller_id;
+    this.authorize(caller, verbInfo, headers, approval, { callerId, args, dryRun });
+    
+    // Resolve the timeout: request override, then manifest, capped by the ceiling
+    if (timeout_ms !== undefined && !(Number.isInteger(timeout_ms) && timeout_ms > 0)) {
+      throw new BrokerError(400, 10, 'INVALID_ARGS', 'timeout_ms must be a positive integer');
+    }
+    const timeoutMs = Math.min(
+      timeout_ms || verbDef.timeout_ms || config.DEFAULT_TIMEOUT_MS,
+      config.MAX_TIMEOUT_MS
+    );
+    
+    const rateLimit = this.consumeRateLimit(callerId, verbInfo, { dryRun });
+    
+    return {
+      tool,
+      verb,
+      verbId: requestedVerbId,
+      verbInfo,
+      args,
+      caller,
+      callerId,
+      timeoutMs,
+      headers,
+      approval,
+      dryRun,
+      priority,
+      rateLimit
+    };
+  }
+
+  /**
+   * Count a call against the caller's budgets: all calls, calls to the tool
+   * and, for risky verbs such as `email.send`, calls to the verb (dry runs
+   * do not count there). Throws a 429 with `Retry-After` when a budget is
+   * used up.
+   */
+  consumeRateLimit(callerId = 'unknown', verbInfo, { dryRun = false } = {}) {
+    const { toolId, verb: verbDef } = verbInfo;
+    const rules = [
+      { key: `caller:${callerId}`, limit: config.RATE_LIMIT_MAX, windowMs: config.RATE_LIMIT_WINDOW_MS },
+      { key: `tool:${callerId}:${toolId}`, limit: config.RATE_LIMIT_TOOL_MAX, windowMs: config.RATE_LIMIT_WINDOW_MS }
+    ];
+    if (config.RATE_LIMIT_RISKY_VERBS.includes(verbDef.id) && !dryRun) {
+      rules.push({
+        key: `verb:${callerId}:${verbDef.id}`,
+        limit: config.RATE_LIMIT_RISKY_MAX,
+        windowMs: config.RATE_LIMIT_RISKY_WINDOW_MS
+      });
+    }
+    
+    const state = this.rateLimiter.consume(rules);
+    if (!state.allowed) {
+      logger.warn(`Rate limit reached for ${state.key}`, { verb: verbDef.id });
+      throw new BrokerError(429, 54, 'RATE_LIMITED', {
+        limit: state.key,
+        retry_after_seconds: Math.ceil(state.retryAfterMs / 1000)
+      }, rateLimitHeaders(state));
+    }
+    return state;
+  }
+
+  /**
+   * Run a prepared invocation, check its output against the `returns`
+   * schema and log it. Resolves with the /invoke response envelope.
+   * `onEvent` receives the adapter's progress and partial-result events.
+   * Dry runs return the adapter's planned effects, which are not checked
+   * against `returns`. Verbs that declare `cache` are answered from the
+   * result cache when they can; verbs that declare `invalidates` drop the
+   * cached results they may have made stale.
+   */
+  async performInvocation(requestId, invocation, { onEvent } = {}) {
+    const startTime = Date.now();
+    const { tool, verb, verbId, verbInfo, args, caller, callerId, timeoutMs, headers, approval, dryRun, priority } = invocation;
+    const { verb: verbDef, validateReturns } = verbInfo;
+    
+    if (this.inflight.has(requestId)) {
+      throw new BrokerError(409, 10, 'DUPLICATE_REQUEST_ID',
+        `An invocation with request id ${requestId} is already running`);
+    }
+    
+    // `Cache-Control: no-cache` skips the lookup; the fresh result is still cached
+    const cacheDef = config.CACHE_ENABLED && !dryRun ? verbDef.cache : undefined;
+    let cached;
+    if (cacheDef && !/\bno-cache\b/i.test(headers['cache-control'] || '')) {
+      cached = this.resultCache.get(verbId, args, cacheDef);
+      metrics.cacheLookups.inc({ tool, verb: verbId, result: cached === undefined ? 'miss' : 'hit' });
+    }
+    const cacheHit = cached !== undefined;
+    
+    const span = this.tracer.startSpan(`invoke ${verbId}`, {
+      parent: headers.traceparent,
+      attributes: {
+        tool,
+        verb: verbId,
+        request_id: requestId,
+        caller_id: callerId,
+        dry_run: Boolean(dryRun),
+        ...(cacheDef && { cache_hit: cacheHit })
+      }
+    });
+    
+    try {
+      // Execute the tool
+      const result = cacheHit ? { data: cached } : await this.runInvocation(requestId, tool, verbId, args, {
+        timeoutMs,
+        onEvent,
+        headers: { ...headers, traceparent: span.traceparent },
+        caller,
+        callerId,
+        approval,
+        dryRun,
+        priority
+      });
+      const duration = Date.now() - startTime;
+      
+      // Check the adapter output against the declared `returns` schema
+      // (cached results passed when they were stored)
+      const returnsMode = verbDef.returns_validation || config.RETURNS_VALIDATION;
+      let returnsErrors;
+      if (returnsMode !== 'off' && !dryRun && !cacheHit && !validateReturns(structuredClone(result.data ?? null))) {
+        returnsErrors = formatSchemaErrors(validateReturns.errors);
         
-        // Log the error
-        logger.logInvocation(
+        if (returnsMode === 'strict') {
+          throw new BrokerError(502, 51, 'BAD_ADAPTER_OUTPUT', {
+            verb: verbId,
+            errors: returnsErrors
+          });
+        }
+        
+        logger.warn(`Adapter output for ${verbId} does not match its returns schema`, {
+          requestId,
+          errors: returnsErrors
+        });
+      }
+      
+      if (cacheDef && !cacheHit && !returnsErrors) {
+        this.resultCache.set(verbId, args, cacheDef, result.data);
+      }
+      
+      this.recordInvocation({
+        requestId,
+        callerId,
+        tool,
+        verbId,
+        args,
+        code: 0,
+        msg: 'OK',
+        durationMs: duration,
+        trace: result.trace,
+        dryRun,
+        cacheHit
+      });
+      span.end();
+      
+      return {
+        ok: true,
+        data: result.data,
+        meta: {
           tool,
-          verb,
-          args,
-          { duration },
-          error,
-          caller_id
-        );
+          verb: verbId,
+          duration_ms: duration,
+          request_id: requestId,
+          ...(dryRun && { dry_run: true }),
+          ...(cacheDef && { cache_hit: cacheHit }),
+          ...(result.queue && { queue: result.queue }),
+          ...(returnsErrors && { returns_errors: returnsErrors }),
+          ...(result.trace && { trace: result.trace })
+        }
+      };
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      this.recordInvocation({
+        requestId,
+        callerId,
+        tool,
+        verbId,
+        args,
+        code: error.code || 50,
+        msg: error.message,
+        durationMs: duration,
+        trace: error.trace,
+        dryRun
+      });
+      span.end(error);
+      
+      throw error;
+      
+    } finally {
+      // A write, even a failed one, may have made cached results stale
+      if (verbDef.invalidates && !dryRun) {
+        this.resultCache.invalidate(verbDef.invalidates, args);
+      }
+    }
+  }
+
+  /**
+   * Write a finished invocation to the audit log and the metrics
+   */
+  recordInvocation({ requestId, callerId, tool, verbId, args, code, msg, durationMs, trace, dryRun, cacheHit }) {
+    this.auditLog.append({ requestId, callerId, tool, verb: verbId, args, code, msg, durationMs, trace, dryRun, cacheHit });
+    metrics.invocations.inc({ tool, verb: verbId, code: String(code) });
+    metrics.invocationDuration.observe({ tool, verb: verbId }, durationMs / 1000);
+  }
+
+  /**
+   * Run a verb under a timeout, registered by request id so it can be
+   * cancelled while in flight. Calls to tools with concurrency limits first
+   * wait their turn in the invocation queue (the wait counts towards the
+   * timeout) and resolve with `queue: { depth, waited_ms }`.
+   */
+  async runInvocation(requestId, tool, verb, args, { timeoutMs = config.DEFAULT_TIMEOUT_MS, envExtra = {}, onEvent, headers, caller, callerId, approval, dryRun, priority } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      controller.abort(new BrokerError(504, 53, 'TIMEOUT', `${verb} did not finish within ${timeoutMs}ms`));
+    }, timeoutMs);
+    
+    this.inflight.set(requestId, { controller, callerId });
+    let release;
+    try {
+      const slot = await this.invocationQueue.acquire(tool, this.manifests[tool], {
+        args,
+        callerId,
+        priority,
+        signal: controller.signal
+      });
+      release = slot.release;
+      
+      const result = await this.executeWithRetry(tool, verb, controller.signal, () => this.executeTool(tool, verb, args, envExtra, {
+        signal: controller.signal,
+        onEvent,
+        requestId,
+        headers,
+        caller,
+        callerId,
+        approval,
+        dryRun,
+        priority
+      }));
+      return slot.queue ? { ...result, queue: slot.queue } : result;
+    } finally {
+      release?.();
+      clearTimeout(timer);
+      this.inflight.delete(requestId);
+    }
+  }
+
+  /**
+   * Run an adapter call under its tool's circuit breaker, retrying the
+   * failures its manifest declares retryable (`retry.on`) with exponential
+   * backoff. All attempts share the invocation's timeout. Adapter errors
+   * below code 50 (bad args, missing files) mean the tool is working;
+   * cancellations say nothing either way.
+   */
+  async executeWithRetry(tool, verbId, signal, run) {
+    // Workflow steps go through their own tools' breakers
+    if (tool === WORKFLOW_TOOL_ID) return run();
+    
+    const manifest = this.manifests[tool];
+    const policy = retryPolicy(manifest, this.verbCache.get(verbId)?.verb || {});
+    const settle = (error) => {
+      const code = typeof error.code === 'number' ? error.code : 50;
+      if (code === 55) {
+        this.circuitBreaker.release(tool);
+      } else if (code >= 50) {
+        this.circuitBreaker.recordFailure(tool, manifest);
+      } else {
+        this.circuitBreaker.recordSuccess(tool);
+      }
+      return error;
+    };
+    
+    this.circuitBreaker.check(tool, manifest);
+    
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await run();
+        this.circuitBreaker.recordSuccess(tool);
+        return result;
+      } catch (error) {
+        const retryable = policy && attempt < policy.max_attempts && !signal.aborted &&
+          (policy.on.includes(error.code) || policy.on.includes(error.message));
+        if (!retryable) throw settle(error);
         
-        next(error);
+        const delayMs = Math.min(policy.backoff_ms * policy.backoff_multiplier ** (attempt - 1), policy.max_backoff_ms);
+        logger.warn(`Retrying ${verbId} in ${delayMs}ms after ${error.message}`, { attempt, code: error.code });
+        metrics.adapterRetries.inc({ tool, verb: verbId });
+        await delay(delayMs, signal).catch(reason => {
+          throw settle(reason);
+        });
       }
+    }
+  }
+
+  /**
+   * Cancel an in-flight invocation, returns false if it is not running.
+   * With a `caller`, only that caller's own invocations can be cancelled.
+   */
+  cancelInvocation(requestId, caller = null) {
+    const entry = this.inflight.get(requestId);
+    if (!entry || (caller && entry.callerId !== caller.id)) return false;
+    
+    entry.controller.abort(new BrokerError(499, 55, 'CANCELLED', `Invocation ${requestId} was cancelled`));
+    return true;
+  }
+
+  async executeTool(tool, verb, args, envExtra = {}, { signal, onEvent, requestId, headers, caller, callerId, approval, dryRun = false, priority } = {}) {
+    // Workflows run their steps through the broker instead of an adapter
+    if (tool === WORKFLOW_TOOL_ID) {
+      return this.workflowRunner.execute(verb, args, { requestId, headers, caller, callerId, approval, priority, signal });
+    }
+    
+    // Adapters get the trace context as TRACEPARENT, with this span as parent
+    const span = this.tracer.startSpan(`adapter ${verb}`, {
+      parent: headers?.traceparent,
+      attributes: { tool, verb, worker: Boolean(this.manifests[tool]?.worker) }
     });
+    
+    try {
+      const result = await this.runAdapter(tool, verb, args, { ...envExtra, TRACEPARENT: span.traceparent }, {
+        signal,
+        onEvent,
+        span,
+        dryRun
+      });
+      span.end();
+      return result;
+    } catch (error) {
+      span.end(error);
+      throw error;
+    }
   }
 
-  async executeTool(tool, verb, args, envExtra = {}) {
-    const adapterPath = path.join(__dirname, '..', 'adapters', tool, 'cli.js');
+  /**
+   * Run a verb in its tool's adapter: on a pooled worker when the manifest
+   * declares one, in a new process otherwise. Dry runs are flagged in the
+   * payload as `dry_run: true`.
+   */
+  async runAdapter(tool, verb, args, envExtra, { signal, onEvent, span, dryRun = false }) {
+    const adapterPath = this.packages[tool].entrypoint;
     
     try {
       // Check if the adapter exists
       await fs.access(adapterPath);
       
+      // The abort listeners below miss a timeout or cancellation that came
+      // while this was waiting
+      if (signal?.aborted) throw signal.reason;
+      
+      // Adapters that declare a worker protocol are kept running between calls
+      const workerOptions = this.manifests[tool]?.worker;
+      if (workerOptions) {
+        return await this.workerPool.execute(tool, adapterPath, workerOptions, verb, args, envExtra, { signal, onEvent, dryRun });
+      }
+      
       return new Promise((resolve, reject) => {
-        const payload = JSON.stringify({ verb, args });
+        const payload = JSON.stringify({ verb, args, ...(dryRun && { dry_run: true }) });
         const child = spawn('node', [adapterPath, payload], {
           env: { ...process.env, PATH: process.env.PATH, ...envExtra },
           stdio: ['ignore', 'pipe', 'pipe']
         });
+        this.adapterProcesses.add(child);
+        
+        const spawnSpan = this.tracer.startSpan('spawn', { parent: span, attributes: { tool } });
+        child.once('spawn', () => spawnSpan.setAttributes({ pid: child.pid }).end());
         
         let stdout = '';
         let stderr = '';
+        let pending = '';
+        
+        // Lines tagged with an `event` are progress/partial updates, everything
+        // else is the final result envelope
+        const handleLine = (line) => {
+          const event = parseAdapterEvent(line);
+          if (event) {
+            onEvent?.(event);
+          } else {
+            stdout += line + '\n';
+          }
+        };
         
         child.stdout.on('data', (data) => {
-          stdout += data.toString();
+          const lines = (pending + data.toString()).split('\n');
+          pending = lines.pop();
+          lines.forEach(handleLine);
         });
         
         child.stderr.on('data', (data) => {
@@ -263,15 +1617,22 @@ class Broker {
         });
         
         child.on('close', (code) => {
+          this.adapterProcesses.delete(child);
+          if (pending) handleLine(pending);
+          
           try {
             if (code !== 0) {
-              const error = stderr ? JSON.parse(stderr) : {
+              // The error envelope is the last line adapters print to stderr
+              const envelope = stderr.trim() ? JSON.parse(stderr.trim().split('\n').pop()) : {
                 ok: false,
                 code: 50,
                 msg: 'ADAPTER_ERROR',
                 details: `Process exited with code ${code}`
               };
-              return reject(new Error(error.msg || 'ADAPTER_ERROR'));
+              const error = new Error(envelope.msg || 'ADAPTER_ERROR');
+              error.code = envelope.code || 50;
+              error.details = envelope.details;
+              return reject(error);
             }
             
             const result = JSON.parse(stdout);
@@ -289,8 +1650,24 @@ class Broker {
         });
         
         child.on('error', (error) => {
+          this.adapterProcesses.delete(child);
+          metrics.adapterSpawnFailures.inc({ tool });
+          spawnSpan.end(error);
           reject(new Error(`Failed to start adapter: ${error.message}`));
         });
+        
+        // Stop the adapter on timeout or cancellation: SIGTERM first, then SIGKILL
+        signal?.addEventListener('abort', () => {
+          reject(signal.reason);
+          child.kill('SIGTERM');
+          
+          const killTimer = setTimeout(() => {
+            if (child.exitCode === null && child.signalCode === null) {
+              child.kill('SIGKILL');
+            }
+          }, config.ADAPTER_KILL_GRACE_MS);
+          killTimer.unref();
+        }, { once: true });
       });
       
     } catch (error) {
@@ -301,10 +1678,43 @@ class Broker {
     }
   }
 
+  /**
+   * Warn when confirm-required calls would wait for an approval nobody can
+   * give: token mode without an admin token or a key that may confirm
+   */
+  checkApprovers() {
+    if (config.CONFIRM_MODE !== 'token' || config.ADMIN_TOKEN) return;
+    if ([...this.apiKeys.keys.values()].some(caller => caller.scopes.confirm)) return;
+    
+    logger.warn('No one can approve confirm-required calls: set ADMIN_TOKEN, give an API key confirm: true or set CONFIRM_MODE=header');
+  }
+
+  /**
+   * Load keys, policy, tools and jobs and start watching for changes,
+   * without listening for HTTP requests (the MCP stdio server stops here)
+   */
+  async init() {
+    await this.apiKeys.load();
+    await this.rateLimiter.load();
+    await this.policy.load();
+    await this.auditLog.load();
+    await this.loadTools();
+    await this.jobStore.load();
+    this.checkApprovers();
+    
+    if (config.WATCH_MANIFESTS) {
+      this.watcher = new ManifestWatcher(
+        [ADAPTERS_DIR, ...config.PLUGIN_DIRS, WORKFLOWS_DIR],
+        (files) => this.handleFileChanges(files)
+      );
+      this.watcher.start();
+    }
+  }
+
   async start(port = config.PORT) {
     try {
       // Load tools and manifests
-      await this.loadTools();
+      await this.init();
       
       // Start the server
       return new Promise((resolve) => {
@@ -321,10 +1731,19 @@ class Broker {
   }
 
   async stop() {
+    this.watcher?.stop();
+    
     if (this.server) {
       await new Promise((resolve) => this.server.close(resolve));
       logger.info('Server stopped');
     }
+    
+    await this.mcp.close();
+    await this.workerPool.shutdown();
+    await this.jobStore.flush();
+    await this.rateLimiter.flush();
+    await this.auditLog.flush();
+    await this.tracer.shutdown();
   }
 }
 
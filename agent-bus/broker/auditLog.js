@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { logger } = require('./logger');
+const stableStringify = require('./stableStringify');
+const config = require('./config');
+
+const CURRENT_FILE = 'audit.log';
+const ROTATED_FILE = /^audit-[0-9TZ]+\.log$/;
+const HEAD_FILE = 'audit-head.json';
+const GENESIS_HASH = '0'.repeat(64);
+const REDACTED = '[REDACTED]';
+
+function exists(file) {
+  return fs.promises.access(file).then(() => true, () => false);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * A copy of the args with sensitive keys masked and long strings cut short
+ */
+function redactArgs(value, key = '') {
+  if (key && config.AUDIT_REDACT_KEYS.some(pattern => key.toLowerCase().includes(pattern))) {
+    return REDACTED;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactArgs(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactArgs(v, k)]));
+  }
+  if (typeof value === 'string' && value.length > config.AUDIT_MAX_VALUE_LENGTH) {
+    return `${value.slice(0, config.AUDIT_MAX_VALUE_LENGTH)}... (${value.length} chars)`;
+  }
+  return value;
+}
+
+/**
+ * The hash of a record: its predecessor's hash and its own fields
+ */
+function hashRecord(record) {
+  const { hash, ...fields } = record;
+  return sha256(`${record.prev_hash}\n${JSON.stringify(fields)}`);
+}
+
+/**
+ * Append-only invocation audit trail. Every record holds the SHA-256 of the
+ * previous record, so editing, removing or reordering records breaks the
+ * chain and `verify()` reports where. The current file is rotated once it
+ * reaches AUDIT_MAX_BYTES and rotated files are deleted after
+ * AUDIT_RETENTION_DAYS; the chain carries on across files. Each file after
+ * the first starts with a rotation header holding the seq and hash the
+ * chain had reached, and the latest seq and hash are also kept in a head
+ * file outside the log.
+ */
+class AuditLog {
+  constructor(dir = config.AUDIT_DIR, headFile = config.AUDIT_HEAD_FILE || path.join(dir, HEAD_FILE)) {
+    this.dir = dir;
+    this.file = path.join(dir, CURRENT_FILE);
+    this.headFile = headFile;
+    this.lastHash = GENESIS_HASH;
+    this.seq = 0;
+    this.size = 0;
+    this.queue = []; // records waiting to be written
+    this.writing = null; // promise of the write loop, while it runs
+    this.written = null; // { seq, hash } of the last record written
+  }
+
+  /**
+   * Pick up the chain where the last record left it
+   */
+  async load() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const files = await this.files();
+    for (const file of files.reverse()) {
+      const lines = (await fs.promises.readFile(file, 'utf8')).split('\n').filter(Boolean);
+      if (lines.length === 0) continue;
+
+      try {
+        const last = JSON.parse(lines[lines.length - 1]);
+        this.lastHash = last.type === 'rotation' ? last.prev_hash : last.hash;
+        this.seq = last.type === 'rotation' ? last.prev_seq : last.seq;
+      } catch (error) {
+        logger.warn(`Last audit record in ${file} is unreadable, the chain will not verify`, {
+          error: error.message
+        });
+      }
+      break;
+    }
+
+    this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+    await this.prune();
+    logger.info(`Audit log at ${this.file}, ${this.seq} records so far`);
+  }
+
+  /**
+   * Record one invocation. The record is chained right away and written in
+   * the background: writes go through a queue on `fs.promises`, so records
+   * land in the order they were appended without blocking the request, and
+   * the head file is updated once the queue drains. The record also goes
+   * to the broker log, along with the workflow `trace` (which is not part of
+   * the chain). Dry runs are marked `dry_run: true` and results served from
+   * the result cache `cache_hit: true`.
+   */
+  append({ requestId, callerId, tool, verb, args, code, msg, durationMs, trace, dryRun = false, cacheHit = false }) {
+    const record = {
+      seq: this.seq + 1,
+      timestamp: new Date().toISOString(),
+      request_id: requestId,
+      caller_id: callerId || 'unknown',
+      tool,
+      verb,
+      ...(dryRun && { dry_run: true }),
+      ...(cacheHit && { cache_hit: true }),
+      args_sha256: sha256(stableStringify(args ?? {})),
+      ...(config.AUDIT_ARGS !== 'none' && {
+        args: config.AUDIT_ARGS === 'full' ? args : redactArgs(args ?? {})
+      }),
+      code,
+      msg,
+      success: code === 0,
+      duration_ms: durationMs,
+      prev_hash: this.lastHash
+    };
+    record.hash = hashRecord(record);
+    this.lastHash = record.hash;
+    this.seq = record.seq;
+
+    const { args: _args, prev_hash: _prevHash, ...summary } = record;
+    logger.info('invocation', { ...summary, ...(trace && { trace }) });
+
+    this.queue.push(record);
+    this.writing ??= this.drain();
+    return record;
+  }
+
+  /**
+   * Resolves once every record appended so far is on disk
+   */
+  async flush() {
+    await this.writing;
+  }
+
+  async drain() {
+    // Records appended while the head file is written go round again
+    while (this.queue.length > 0) {
+      while (this.queue.length > 0) {
+        const record = this.queue.shift();
+        try {
+          await this.write(record);
+        } catch (error) {
+          logger.error('Failed to write audit record', { error: error.message, requestId: record.request_id });
+        }
+      }
+
+      try {
+        await this.writeHead();
+      } catch (error) {
+        logger.error('Failed to write audit head file', { error: error.message });
+      }
+    }
+    this.writing = null;
+  }
+
+  async write(record) {
+    let line = `${JSON.stringify(record)}\n`;
+    if (this.size > 0 && this.size + Buffer.byteLength(line) > config.AUDIT_MAX_BYTES) {
+      await this.rotate();
+    }
+    // A new file after the first says where the chain stands
+    if (this.size === 0 && record.seq > 1) {
+      line = `${JSON.stringify({
+        type: 'rotation',
+        timestamp: record.timestamp,
+        prev_seq: record.seq - 1,
+        prev_hash: record.prev_hash
+      })}\n${line}`;
+    }
+    await fs.promises.appendFile(this.file, line);
+    this.size += Buffer.byteLength(line);
+    this.written = { seq: record.seq, hash: record.hash };
+  }
+
+  async rotate() {
+    // Names sort in rotation order, so two rotations within a millisecond
+    // take the next free one
+    let time = Date.now();
+    let rotated;
+    do {
+      rotated = path.join(this.dir, `audit-${new Date(time++).toISOString().replace(/[-:.]/g, '')}.log`);
+    } while (await exists(rotated));
+
+    await fs.promises.rename(this.file, rotated);
+    this.size = 0;
+    this.prune().catch(error => logger.warn('Failed to prune audit logs', { error: error.message }));
+  }
+
+  /**
+   * Name the last record written in the head file
+   */
+  async writeHead() {
+    if (!this.written) return;
+    const head = JSON.stringify({ ...this.written, updated_at: new Date().toISOString() });
+    await fs.promises.writeFile(`${this.headFile}.tmp`, head);
+    await fs.promises.rename(`${this.headFile}.tmp`, this.headFile);
+  }
+
+  async readHead() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.headFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete rotated files older than the retention period
+   */
+  async prune() {
+    const cutoff = Date.now() - config.AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    for (const file of await this.files()) {
+      if (file === this.file) continue;
+      const { mtimeMs } = await fs.promises.stat(file);
+      if (mtimeMs < cutoff) {
+        await fs.promises.unlink(file);
+        logger.info(`Deleted expired audit log ${path.basename(file)}`);
+      }
+    }
+  }
+
+  /**
+   * Audit files, oldest first
+   */
+  async files() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const rotated = names.filter(name => ROTATED_FILE.test(name)).sort();
+    if (names.includes(CURRENT_FILE)) rotated.push(CURRENT_FILE);
+    return rotated.map(name => path.join(this.dir, name));
+  }
+
+  /**
+   * Records matching a filter ({ caller, tool, verb, from, to, outcome }),
+   * newest first
+   */
+  async query({ caller, tool, verb, from, to, outcome, limit = 100 } = {}) {
+    await this.flush();
+    const matches = (record) =>
+      (!caller || record.caller_id === caller) &&
+      (!tool || record.tool === tool) &&
+      (!verb || record.verb === verb) &&
+      (!from || Date.parse(record.timestamp) >= from) &&
+      (!to || Date.parse(record.timestamp) <= to) &&
+      (!outcome || record.success === (outcome === 'ok'));
+
+    const results = [];
+    for (const file of (await this.files()).reverse()) {
+      const lines = (await fs.promises.readFile(file, 'utf8')).split('\n').filter(Boolean);
+
+      for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+        try {
+          const record = JSON.parse(lines[i]);
+          if (record.type !== 'rotation' && matches(record)) results.push(record);
+        } catch {
+          // unreadable lines are reported by verify()
+        }
+      }
+      if (results.length >= limit) break;
+    }
+    return results;
+  }
+
+  /**
+   * Walk the chain from the oldest file. The chain may only start at
+   * record 1 or, once older files have been deleted by retention, right
+   * after the rotation header of the oldest file left, which it must link
+   * to. Every later record must link to its predecessor and match its own
+   * hash, and the record the head file names must be in the chain (records
+   * after it were written before a crash left the head file behind).
+   */
+  async verify() {
+    await this.flush();
+    const result = { ok: true, files: 0, records: 0, anchor: null, last_hash: null, head: 'missing', error: null };
+    const head = await this.readHead();
+    let headHash = null; // hash of the record the head file names, once seen
+    let prevHash = null;
+    let prevSeq = null;
+
+    for (const file of await this.files()) {
+      result.files++;
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      let lineNumber = 0;
+      let header = null;
+      let fileStart = true;
+      let fileRecords = 0;
+
+      for await (const line of lines) {
+        lineNumber++;
+        if (!line) continue;
+
+        const fail = (reason) => {
+          result.ok = false;
+          result.error = { file: path.basename(file), line: lineNumber, reason };
+        };
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          fail('record is not valid JSON');
+        }
+
+        if (record?.type === 'rotation') {
+          if (!fileStart) {
+            fail('rotation header in the middle of a file');
+          } else if (prevHash !== null && (record.prev_hash !== prevHash || record.prev_seq !== prevSeq)) {
+            fail(`rotation header does not follow record ${prevSeq}`);
+          }
+          header = record;
+        } else if (record) {
+          if (prevHash === null) {
+            result.anchor = { seq: record.seq, prev_hash: record.prev_hash };
+            if (record.seq === 1) {
+              if (record.prev_hash !== GENESIS_HASH) fail('record 1 does not start the chain');
+            } else if (!header) {
+              fail(`record ${record.seq} starts the chain without a rotation header`);
+            } else if (record.prev_hash !== header.prev_hash || record.seq !== header.prev_seq + 1) {
+              fail(`record ${record.seq} does not follow the rotation header`);
+            }
+          } else if (record.prev_hash !== prevHash) {
+            fail(`record ${record.seq} does not link to record ${prevSeq}`);
+          } else if (record.seq !== prevSeq + 1) {
+            fail(`record ${record.seq} follows record ${prevSeq}`);
+          }
+          if (result.ok && hashRecord(record) !== record.hash) {
+            fail(`record ${record.seq} does not match its hash`);
+          }
+        }
+        fileStart = false;
+
+        if (!result.ok) {
+          lines.close();
+          return result;
+        }
+
+        if (record.type !== 'rotation') {
+          if (record.seq === head?.seq) headHash = record.hash;
+          result.records++;
+          fileRecords++;
+          prevHash = record.hash;
+          prevSeq = record.seq;
+        }
+      }
+
+      // A header is only ever written along with a record
+      if (header && fileRecords === 0) {
+        result.ok = false;
+        result.error = { file: path.basename(file), line: lineNumber, reason: 'file holds a rotation header but no records' };
+        return result;
+      }
+    }
+
+    result.last_hash = prevHash;
+
+    // Records cut off the end leave a chain that verifies on its own
+    if (head) {
+      result.head = 'checked';
+      const reason = head.seq > (prevSeq ?? 0)
+        ? `the log ends at record ${prevSeq ?? 0} but the head file names record ${head.seq}`
+        : head.seq > 0 && headHash !== head.hash
+          ? `record ${head.seq} does not match the head file`
+          : null;
+      if (reason) {
+        result.ok = false;
+        result.error = { file: path.basename(this.headFile), line: null, reason };
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = AuditLog;
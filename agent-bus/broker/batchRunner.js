@@ -0,0 +1,177 @@
+const { BrokerError } = require('./errors');
+const { resolveReferences, findReferences, parsePath } = require('./references');
+const { logger } = require('./logger');
+
+const STEP_ID = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+/**
+ * Runs a list of /invoke steps as a dependency graph. Steps name their
+ * dependencies with `depends_on` (references to `${steps.<id>...}` add them
+ * implicitly) and independent steps run in parallel.
+ */
+class BatchRunner {
+  constructor(broker) {
+    this.broker = broker;
+  }
+
+  /**
+   * Check step ids, dependencies and cycles, and make sure the caller may
+   * run every step (scopes, policy and confirmation) before anything runs
+   */
+  plan(steps, headers = {}, caller = null, approval = null, callerId = undefined) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new BrokerError(400, 10, 'INVALID_ARGS', 'steps must be a non-empty array');
+    }
+
+    const byId = new Map();
+    for (const [index, step] of steps.entries()) {
+      if (!step || typeof step !== 'object') {
+        throw new BrokerError(400, 10, 'INVALID_ARGS', `Step ${index} must be an object`);
+      }
+      const id = step.id ?? `step${index}`;
+      if (!STEP_ID.test(id)) {
+        throw new BrokerError(400, 10, 'INVALID_ARGS', `Invalid step id: ${id}`);
+      }
+      if (byId.has(id)) {
+        throw new BrokerError(400, 10, 'INVALID_ARGS', `Duplicate step id: ${id}`);
+      }
+      if (step.depends_on !== undefined &&
+          !(Array.isArray(step.depends_on) && step.depends_on.every(dependency => typeof dependency === 'string'))) {
+        throw new BrokerError(400, 10, 'INVALID_ARGS', `depends_on of step ${id} must be an array of step ids`);
+      }
+      byId.set(id, { ...step, id });
+    }
+
+    for (const step of byId.values()) {
+      const references = findReferences(step.args || {});
+      const referenced = references
+        .map(expression => parsePath(expression))
+        .filter(keys => keys[0] === 'steps')
+        .map(keys => keys[1]);
+      step.dependsOn = [...new Set([...(step.depends_on || []), ...referenced])];
+
+      for (const dependency of step.dependsOn) {
+        if (!byId.has(dependency)) {
+          throw new BrokerError(400, 10, 'INVALID_ARGS', `Step ${step.id} depends on unknown step ${dependency}`);
+        }
+      }
+
+      // Scopes and confirmation are checked up front so a batch never stops
+      // half way through because of a missing x-confirm header. The policy
+      // can only be checked here for args without references; the others
+      // are checked once their references are resolved.
+      const verbInfo = this.broker.findVerb(step.tool, step.verb);
+      if (verbInfo) {
+        const call = references.length === 0 ? { callerId, args: step.args || {} } : null;
+        try {
+          this.broker.authorize(caller, verbInfo, headers, approval, call);
+        } catch (error) {
+          error.details = typeof error.details === 'string'
+            ? `Step ${step.id}: ${error.details}`
+            : { step: step.id, ...error.details };
+          throw error;
+        }
+      }
+    }
+
+    this._checkCycles(byId);
+    return byId;
+  }
+
+  _checkCycles(byId) {
+    const state = new Map(); // id -> 'visiting' | 'done'
+
+    const visit = (id, trail) => {
+      if (state.get(id) === 'done') return;
+      if (state.get(id) === 'visiting') {
+        throw new BrokerError(400, 10, 'INVALID_ARGS', `Dependency cycle: ${[...trail, id].join(' -> ')}`);
+      }
+
+      state.set(id, 'visiting');
+      byId.get(id).dependsOn.forEach(dependency => visit(dependency, [...trail, id]));
+      state.set(id, 'done');
+    };
+
+    for (const id of byId.keys()) visit(id, []);
+  }
+
+  /**
+   * Run the batch, resolving with one result per step in request order.
+   * Each step runs as request `<requestId>:<step id>`; aborting the signal
+   * cancels the running steps and fails the ones not started yet.
+   */
+  async run(requestId, body, headers = {}, caller = null, { approval = null, signal } = {}) {
+    const steps = this.plan(body.steps, headers, caller, approval, caller ? caller.id : body.caller_id);
+    const outputs = {}; // step id -> response envelope
+    const running = new Map(); // step id -> promise
+    const active = new Set(); // ids of steps whose invocation is in flight
+
+    const cancelActive = () => {
+      for (const id of active) this.broker.cancelInvocation(`${requestId}:${id}`);
+    };
+    signal?.addEventListener('abort', cancelActive, { once: true });
+
+    const runStep = (step) => {
+      if (running.has(step.id)) return running.get(step.id);
+
+      const promise = (async () => {
+        await Promise.all(step.dependsOn.map(id => runStep(steps.get(id))));
+
+        const failed = step.dependsOn.filter(id => !outputs[id].ok);
+        if (failed.length > 0) {
+          outputs[step.id] = {
+            ok: false,
+            code: 10,
+            msg: 'SKIPPED',
+            details: `Dependency failed: ${failed.join(', ')}`
+          };
+          return;
+        }
+
+        try {
+          if (signal?.aborted) throw signal.reason;
+          const args = resolveReferences(step.args || {}, { steps: outputs });
+          const invocation = this.broker.prepareInvocation({
+            tool: step.tool,
+            verb: step.verb,
+            args,
+            caller_id: body.caller_id,
+            toolpack_id: body.toolpack_id,
+            timeout_ms: step.timeout_ms,
+            priority: body.priority
+          }, headers, caller, { approval });
+
+          active.add(step.id);
+          outputs[step.id] = await this.broker.performInvocation(`${requestId}:${step.id}`, invocation);
+        } catch (error) {
+          outputs[step.id] = error instanceof BrokerError
+            ? error.toJSON()
+            : {
+              ok: false,
+              code: error.reference ? 10 : error.code || 50,
+              msg: error.reference ? 'INVALID_REFERENCE' : error.message || 'ADAPTER_ERROR',
+              ...(error.reference && { details: error.message })
+            };
+        } finally {
+          active.delete(step.id);
+        }
+      })();
+
+      running.set(step.id, promise);
+      return promise;
+    };
+
+    await Promise.all([...steps.values()].map(runStep));
+    signal?.removeEventListener('abort', cancelActive);
+
+    const results = [...steps.keys()].map(id => ({ id, ...outputs[id] }));
+    logger.info(`Batch ${requestId} finished`, {
+      steps: results.length,
+      failed: results.filter(r => !r.ok).length
+    });
+
+    return results;
+  }
+}
+
+module.exports = BatchRunner;
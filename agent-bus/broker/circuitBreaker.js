@@ -0,0 +1,101 @@
+const { BrokerError } = require('./errors');
+const { logger } = require('./logger');
+const config = require('./config');
+
+/**
+ * The breaker settings for a tool: the manifest's `circuit_breaker` over
+ * the configured defaults. A `failure_threshold` of 0 turns it off.
+ */
+function breakerOptions(manifest) {
+  return {
+    failure_threshold: config.CIRCUIT_FAILURE_THRESHOLD,
+    cooldown_ms: config.CIRCUIT_COOLDOWN_MS,
+    ...manifest?.circuit_breaker
+  };
+}
+
+/**
+ * Per-tool circuit breakers. After `failure_threshold` failed calls in a
+ * row a tool's circuit opens and calls fail fast with TOOL_UNAVAILABLE.
+ * Once `cooldown_ms` has passed the circuit is half-open: the next call is
+ * let through as a probe, closing the circuit if it succeeds and opening it
+ * again if it fails.
+ */
+class CircuitBreaker {
+  constructor() {
+    this.circuits = new Map(); // tool -> { state, failures, openedAt }
+  }
+
+  /**
+   * Throw TOOL_UNAVAILABLE unless the tool may be called now
+   */
+  check(tool, manifest) {
+    const options = breakerOptions(manifest);
+    const circuit = this.circuits.get(tool);
+    if (!circuit || circuit.state === 'closed' || options.failure_threshold === 0) return;
+
+    const retryAfterMs = circuit.openedAt + options.cooldown_ms - Date.now();
+    if (circuit.state === 'open' && retryAfterMs <= 0) {
+      circuit.state = 'half_open';
+      logger.info(`Circuit for ${tool} is half-open, probing`);
+      return;
+    }
+
+    // Open, or half-open with the probe still running
+    const retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    throw new BrokerError(503, 56, 'TOOL_UNAVAILABLE', {
+      tool,
+      failures: circuit.failures,
+      retry_after_seconds: retryAfterSeconds
+    }, { 'Retry-After': String(retryAfterSeconds) });
+  }
+
+  recordSuccess(tool) {
+    const circuit = this.circuits.get(tool);
+    if (!circuit) return;
+
+    if (circuit.state !== 'closed') {
+      logger.info(`Circuit for ${tool} closed`);
+    }
+    this.circuits.delete(tool);
+  }
+
+  recordFailure(tool, manifest) {
+    const options = breakerOptions(manifest);
+    const circuit = this.circuits.get(tool) || { state: 'closed', failures: 0, openedAt: null };
+    circuit.failures++;
+    this.circuits.set(tool, circuit);
+
+    if (options.failure_threshold === 0) return;
+    if (circuit.state === 'half_open' || circuit.failures >= options.failure_threshold) {
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+      logger.warn(`Circuit for ${tool} opened after ${circuit.failures} failures`, {
+        cooldownMs: options.cooldown_ms
+      });
+    }
+  }
+
+  /**
+   * A call that says nothing about the tool's health (e.g. cancelled). If
+   * it was the probe, the next call probes instead.
+   */
+  release(tool) {
+    const circuit = this.circuits.get(tool);
+    if (circuit?.state === 'half_open') {
+      circuit.state = 'open';
+      circuit.openedAt = 0;
+    }
+  }
+
+  /**
+   * Tools whose circuit is not closed: tool -> `open` or `half_open`
+   */
+  states() {
+    return Object.fromEntries([...this.circuits]
+      .filter(([, circuit]) => circuit.state !== 'closed')
+      .map(([tool, circuit]) => [tool, circuit.state]));
+  }
+}
+
+module.exports = CircuitBreaker;
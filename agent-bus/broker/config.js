@@ -1,10 +1,19 @@
 // Environment configuration
 require('dotenv').config();
+const path = require('path');
+
+// An integer setting, or the default when it is unset or not a number (so
+// an explicit 0 is kept)
+function intEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+}
 
 module.exports = {
   // Server configuration
   PORT: process.env.PORT || 4000,
   NODE_ENV: process.env.NODE_ENV || 'development',
+  VERSION: require('../package.json').version, // reported by /health and /doctor
   
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
@@ -12,13 +21,109 @@ module.exports = {
   // Security
   TRUST_PROXY: process.env.TRUST_PROXY || false,
   
-  // Rate limiting (requests per minute per IP)
+  // Rate limiting: invocations per window for each caller, for each caller
+  // and tool, and (over a longer window) for each caller and risky verb.
+  // Counters are saved to RATE_LIMIT_FILE so they survive a restart.
   RATE_LIMIT_WINDOW_MS: 60 * 1000, // 1 minute
-  RATE_LIMIT_MAX: 100, // 100 requests per minute
+  RATE_LIMIT_MAX: intEnv('RATE_LIMIT_MAX', 100), // 100 requests per minute
+  RATE_LIMIT_TOOL_MAX: intEnv('RATE_LIMIT_TOOL_MAX', 60),
+  RATE_LIMIT_RISKY_VERBS: (process.env.RATE_LIMIT_RISKY_VERBS ||
+    'email.send,messaging.send,outlook.send,mail_local.send,web_chatgpt.send').split(',').map(v => v.trim()),
+  RATE_LIMIT_RISKY_WINDOW_MS: 60 * 60 * 1000, // 1 hour
+  RATE_LIMIT_RISKY_MAX: intEnv('RATE_LIMIT_RISKY_MAX', 20),
+  RATE_LIMIT_FILE: process.env.RATE_LIMIT_FILE || path.join(__dirname, 'ratelimits.json'),
   
   // Tool configuration
   TOOLPACK_TTL: 5 * 60 * 1000, // 5 minutes
   
+  // Adapter packages beyond adapters/: plugin directories (separated like
+  // PATH, each a package or a directory of packages) and, unless
+  // PLUGIN_NPM=false, installed npm packages with the `agent-bus` keyword
+  PLUGIN_DIRS: (process.env.PLUGIN_DIRS || '').split(path.delimiter).filter(Boolean).map(dir => path.resolve(dir)),
+  PLUGIN_NPM: process.env.PLUGIN_NPM !== 'false',
+  
+  // Reload manifests, workflows and adapters when their files change
+  WATCH_MANIFESTS: process.env.WATCH_MANIFESTS !== 'false',
+  RELOAD_DEBOUNCE_MS: 300,
+  
+  // Confirm-required verbs: `token` holds the call until an approver calls
+  // POST /confirmations/:token/approve, `header` accepts `x-confirm: yes`.
+  // Each caller can have up to CONFIRM_MAX_PENDING calls waiting.
+  CONFIRM_MODE: process.env.CONFIRM_MODE || 'token',
+  CONFIRMATION_TTL_MS: intEnv('CONFIRMATION_TTL_MS', 15 * 60 * 1000), // 15 minutes
+  CONFIRM_MAX_PENDING: intEnv('CONFIRM_MAX_PENDING', 20),
+  
+  // API keys (see README); without a keys file authentication is off unless
+  // REQUIRE_API_KEY is set
+  KEYS_FILE: process.env.KEYS_FILE || path.join(__dirname, 'keys.json'),
+  REQUIRE_API_KEY: process.env.REQUIRE_API_KEY === 'true',
+  
+  // Argument-level allow/deny/confirm rules (see README); without a policy
+  // file every call the caller's scopes cover is allowed
+  POLICY_FILE: process.env.POLICY_FILE || path.join(__dirname, 'policy.yaml'),
+  
+  // Bearer token for the /admin routes (they are disabled when unset)
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || '',
+  
+  // Serve MCP over streamable HTTP at /mcp (`npm run mcp` serves it on stdio)
+  MCP_HTTP: process.env.MCP_HTTP !== 'false',
+  MCP_SESSION_IDLE_MS: intEnv('MCP_SESSION_IDLE_MS', 30 * 60 * 1000), // 30 minutes
+  
+  // Persistent adapter workers (manifests with a `worker` section)
+  WORKER_IDLE_TIMEOUT_MS: intEnv('WORKER_IDLE_TIMEOUT_MS', 10 * 60 * 1000), // 10 minutes
+  WORKER_HEALTH_INTERVAL_MS: 30 * 1000,
+  WORKER_PING_TIMEOUT_MS: 5 * 1000,
+  
+  // Invocation timeouts (a verb can set `timeout_ms` in its manifest and a
+  // request can override it, up to the ceiling)
+  DEFAULT_TIMEOUT_MS: intEnv('DEFAULT_TIMEOUT_MS', 2 * 60 * 1000), // 2 minutes
+  MAX_TIMEOUT_MS: intEnv('MAX_TIMEOUT_MS', 10 * 60 * 1000), // 10 minutes
+  ADAPTER_KILL_GRACE_MS: 5 * 1000, // SIGTERM -> SIGKILL
+  
+  // Circuit breakers: after this many failed calls in a row a tool fails
+  // fast with TOOL_UNAVAILABLE until the cooldown has passed (a manifest can
+  // override both with `circuit_breaker`; a threshold of 0 turns it off)
+  CIRCUIT_FAILURE_THRESHOLD: intEnv('CIRCUIT_FAILURE_THRESHOLD', 5),
+  CIRCUIT_COOLDOWN_MS: intEnv('CIRCUIT_COOLDOWN_MS', 30 * 1000),
+  
+  // Calls waiting on a tool's `max_concurrency` or `concurrency_key` limit;
+  // beyond this many per tool, calls fail with QUEUE_FULL
+  QUEUE_MAX_LENGTH: intEnv('QUEUE_MAX_LENGTH', 100),
+  
+  // Invocation audit log (hash-chained, see README). AUDIT_ARGS keeps a copy
+  // of the args in each record: none | redacted | full
+  AUDIT_DIR: process.env.AUDIT_DIR || path.join(__dirname, 'logs'),
+  AUDIT_ARGS: process.env.AUDIT_ARGS || 'redacted',
+  AUDIT_REDACT_KEYS: (process.env.AUDIT_REDACT_KEYS ||
+    'password,passwd,secret,token,api_key,apikey,authorization,cookie,credential,private_key')
+    .split(',').map(k => k.trim().toLowerCase()),
+  AUDIT_MAX_VALUE_LENGTH: 200, // longer strings are cut short in redacted args
+  AUDIT_MAX_BYTES: intEnv('AUDIT_MAX_BYTES', 10 * 1024 * 1024), // rotate at 10MB
+  AUDIT_RETENTION_DAYS: intEnv('AUDIT_RETENTION_DAYS', 90),
+  // Latest seq and hash of the chain, so verification notices records cut
+  // off the end. Defaults to audit-head.json in AUDIT_DIR; keep it elsewhere
+  // to guard against someone who can rewrite the whole directory.
+  AUDIT_HEAD_FILE: process.env.AUDIT_HEAD_FILE || '',
+  
+  // Tracing: spans are exported by TRACE_EXPORTER, which is `none`, `json`
+  // (one span per line in TRACE_FILE) or the path of an exporter module
+  TRACE_EXPORTER: process.env.TRACE_EXPORTER || 'none',
+  TRACE_FILE: process.env.TRACE_FILE || path.join(__dirname, 'logs', 'traces.jsonl'),
+  
+  // Results of verbs that declare `cache` in their manifest, kept in memory
+  // (least recently used results are evicted first)
+  CACHE_ENABLED: process.env.CACHE_ENABLED !== 'false',
+  CACHE_MAX_ENTRIES: intEnv('CACHE_MAX_ENTRIES', 1000),
+  CACHE_MAX_BYTES: intEnv('CACHE_MAX_BYTES', 50 * 1024 * 1024), // 50MB
+  
+  // Async jobs (POST /jobs)
+  JOBS_DIR: process.env.JOBS_DIR || path.join(__dirname, 'jobs'),
+  JOB_TTL_MS: 24 * 60 * 60 * 1000, // keep finished jobs for a day
+  
+  // Check adapter results against the verb's `returns` schema: off | warn | strict
+  // (a verb can override this with `returns_validation` in its manifest)
+  RETURNS_VALIDATION: process.env.RETURNS_VALIDATION || 'warn',
+  
   // Trust tiers
   TRUST_TIERS: {
     A: 'API-based (most secure)',
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+const config = require('./config');
+
+const SUMMARY_VALUE_LENGTH = 200;
+
+/**
+ * One line per argument, long values cut short, e.g.
+ *   email.send - Send an email
+ *     to: ["ann@example.com"]
+ *     subject: "Quarterly numbers"
+ */
+function summarizeCall(verbDef, args = {}) {
+  const lines = [`${verbDef.id}${verbDef.description ? ` - ${verbDef.description}` : ''}`];
+
+  for (const [key, value] of Object.entries(args)) {
+    let text = JSON.stringify(value);
+    if (text.length > SUMMARY_VALUE_LENGTH) {
+      text = `${text.slice(0, SUMMARY_VALUE_LENGTH)}... (${text.length} chars)`;
+    }
+    lines.push(`  ${key}: ${text}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Calls waiting for a human to approve them. A pending confirmation holds
+ * the original request; approving it runs the request as a job whose id is
+ * the confirmation token. Confirmations are kept in memory only, so pending
+ * ones do not survive a restart.
+ */
+class ConfirmationStore {
+  constructor() {
+    this.confirmations = new Map(); // token -> confirmation
+    this.sweepTimer = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Record a call that needs approval. `kind` is `invoke` or `batch` and
+   * `body` the request body to run once approved.
+   */
+  create({ kind, body, summary, caller, callerId }) {
+    const now = Date.now();
+    const confirmation = {
+      token: crypto.randomBytes(16).toString('hex'),
+      status: 'pending',
+      kind,
+      summary,
+      body,
+      caller,
+      caller_id: callerId,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + config.CONFIRMATION_TTL_MS).toISOString(),
+      decided_at: null,
+      decided_by: null,
+      reason: null
+    };
+
+    this.confirmations.set(confirmation.token, confirmation);
+    logger.info(`Confirmation ${confirmation.token} pending`, { kind, callerId, summary });
+    return confirmation;
+  }
+
+  get(token) {
+    const confirmation = this.confirmations.get(token);
+    if (confirmation) this._expire(confirmation);
+    return confirmation;
+  }
+
+  list(status = 'pending') {
+    this.sweep();
+    return [...this.confirmations.values()].filter(c => status === 'all' || c.status === status);
+  }
+
+  /**
+   * How many of a caller's confirmations are still pending
+   */
+  pendingCount(callerId) {
+    return this.list('pending').filter(c => c.caller_id === callerId).length;
+  }
+
+  /**
+   * Move a pending confirmation to `approved` or `rejected`
+   */
+  decide(confirmation, status, decidedBy, reason = null) {
+    Object.assign(confirmation, {
+      status,
+      decided_at: new Date().toISOString(),
+      decided_by: decidedBy,
+      reason
+    });
+    logger.info(`Confirmation ${confirmation.token} ${status}`, { decidedBy, reason });
+    if (status === 'rejected') metrics.confirmationRejections.inc({ kind: confirmation.kind });
+    return confirmation;
+  }
+
+  /**
+   * Expire pending confirmations and forget decided ones after a day
+   */
+  sweep() {
+    const forgetBefore = Date.now() - 24 * 60 * 60 * 1000;
+
+    for (const confirmation of this.confirmations.values()) {
+      this._expire(confirmation);
+      if (confirmation.status !== 'pending' && Date.parse(confirmation.decided_at || confirmation.expires_at) < forgetBefore) {
+        this.confirmations.delete(confirmation.token);
+      }
+    }
+  }
+
+  _expire(confirmation) {
+    if (confirmation.status === 'pending' && Date.parse(confirmation.expires_at) <= Date.now()) {
+      confirmation.status = 'expired';
+    }
+  }
+
+  /**
+   * The public view of a confirmation (without the caller's scopes)
+   */
+  view(confirmation) {
+    const { caller, ...view } = confirmation;
+    return view;
+  }
+}
+
+module.exports = {
+  ConfirmationStore,
+  summarizeCall
+};
@@ -0,0 +1,26 @@
+/**
+ * Error raised by the broker itself, carrying the HTTP status and the
+ * envelope fields (`code`, `msg`, `details`) to send back to the caller, plus
+ * any response headers (such as `Retry-After`)
+ */
+class BrokerError extends Error {
+  constructor(status, code, msg, details, headers) {
+    super(msg);
+    this.name = 'BrokerError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+
+  toJSON() {
+    return {
+      ok: false,
+      code: this.code,
+      msg: this.message,
+      ...(this.details !== undefined && { details: this.details })
+    };
+  }
+}
+
+module.exports = { BrokerError };
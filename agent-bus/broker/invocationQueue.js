@@ -0,0 +1,168 @@
+const { BrokerError } = require('./errors');
+const config = require('./config');
+
+// Invocation priorities, highest first
+const PRIORITIES = ['interactive', 'normal', 'background'];
+
+/**
+ * Concurrency limits for a tool from its manifest: `max_concurrency` for
+ * the whole tool and `concurrency_key: { arg, max }` for calls sharing the
+ * value of one arg (such as a browser session id). Null when the tool has
+ * neither.
+ */
+function concurrencyLimits(manifest) {
+  if (!manifest?.max_concurrency && !manifest?.concurrency_key) return null;
+  return {
+    max: manifest.max_concurrency || Infinity,
+    keyArg: manifest.concurrency_key?.arg,
+    maxPerKey: manifest.concurrency_key?.max || 1
+  };
+}
+
+/**
+ * Holds calls to tools that declare concurrency limits until a slot is
+ * free. When one frees up, the waiting call with the highest priority goes
+ * next; among equal priorities, the caller served least recently goes
+ * first, so one busy caller cannot starve the others.
+ */
+class InvocationQueue {
+  constructor({ maxLength = config.QUEUE_MAX_LENGTH } = {}) {
+    this.maxLength = maxLength;
+    this.tools = new Map(); // tool -> { running, runningByKey, waiting, lastServed: caller -> turn }
+    this.seq = 0;
+    this.served = 0;
+  }
+
+  toolState(tool) {
+    let state = this.tools.get(tool);
+    if (!state) {
+      state = { running: 0, runningByKey: new Map(), waiting: [], lastServed: new Map() };
+      this.tools.set(tool, state);
+    }
+    return state;
+  }
+
+  /**
+   * Wait for a slot to run a call. Resolves with `{ release, queue }`, where
+   * `queue` is `{ depth, waited_ms }` (the calls that were waiting ahead of
+   * this one, and for how long it waited), or null for tools without
+   * limits. Aborting the signal while waiting rejects with its reason.
+   */
+  async acquire(tool, manifest, { args = {}, callerId = 'unknown', priority = 'normal', signal } = {}) {
+    const limits = concurrencyLimits(manifest);
+    if (!limits) return { release: () => {}, queue: null };
+
+    const state = this.toolState(tool);
+    // Calls without the key arg share no session with anyone
+    const key = limits.keyArg && args[limits.keyArg] != null ? String(args[limits.keyArg]) : null;
+    const waiter = {
+      callerId,
+      key,
+      limits,
+      rank: PRIORITIES.indexOf(priority),
+      seq: ++this.seq,
+      enqueuedAt: Date.now()
+    };
+
+    // Every waiter that fits starts now, so a call for an idle session does
+    // not wait behind calls for a busy one
+    state.waiting.push(waiter);
+    this.dispatch(state);
+    if (waiter.started) {
+      return { release: this.releaser(tool, waiter), queue: { depth: 0, waited_ms: 0 } };
+    }
+
+    const depth = state.waiting.length - 1;
+    if (depth >= this.maxLength) {
+      state.waiting = state.waiting.filter(w => w !== waiter);
+      throw new BrokerError(503, 57, 'QUEUE_FULL', {
+        tool,
+        queued: depth
+      }, { 'Retry-After': '1' });
+    }
+
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        state.waiting = state.waiting.filter(w => w !== waiter);
+        reject(signal.reason);
+      };
+      waiter.resolve = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      if (signal?.aborted) onAbort();
+      else signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    return {
+      release: this.releaser(tool, waiter),
+      queue: { depth, waited_ms: Date.now() - waiter.enqueuedAt }
+    };
+  }
+
+  hasCapacity(state, { key, limits }) {
+    if (state.running >= limits.max) return false;
+    return key === null || (state.runningByKey.get(key) || 0) < limits.maxPerKey;
+  }
+
+  start(state, waiter) {
+    waiter.started = true;
+    state.running++;
+    if (waiter.key !== null) {
+      state.runningByKey.set(waiter.key, (state.runningByKey.get(waiter.key) || 0) + 1);
+    }
+    state.lastServed.set(waiter.callerId, ++this.served);
+  }
+
+  releaser(tool, waiter) {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const state = this.toolState(tool);
+      state.running--;
+      if (waiter.key !== null) {
+        const count = state.runningByKey.get(waiter.key) - 1;
+        if (count > 0) state.runningByKey.set(waiter.key, count);
+        else state.runningByKey.delete(waiter.key);
+      }
+      this.dispatch(state);
+    };
+  }
+
+  /**
+   * Start waiting calls while there are free slots
+   */
+  dispatch(state) {
+    for (;;) {
+      const next = state.waiting
+        .filter(waiter => this.hasCapacity(state, waiter))
+        .sort((a, b) =>
+          a.rank - b.rank ||
+          (state.lastServed.get(a.callerId) || 0) - (state.lastServed.get(b.callerId) || 0) ||
+          a.seq - b.seq)[0];
+      if (!next) break;
+
+      state.waiting = state.waiting.filter(waiter => waiter !== next);
+      this.start(state, next);
+      next.resolve?.();
+    }
+
+    if (state.waiting.length === 0 && state.running === 0) state.lastServed.clear();
+  }
+
+  /**
+   * Calls waiting per tool, for tools with any
+   */
+  depths() {
+    return Object.fromEntries([...this.tools]
+      .filter(([, state]) => state.waiting.length > 0)
+      .map(([tool, state]) => [tool, state.waiting.length]));
+  }
+}
+
+module.exports = {
+  InvocationQueue,
+  PRIORITIES
+};
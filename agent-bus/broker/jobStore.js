@@ -0,0 +1,144 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+const config = require('./config');
+
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * Async jobs backed by one JSON file per job, so finished results survive a
+ * broker restart
+ */
+class JobStore {
+  constructor(dir = config.JOBS_DIR) {
+    this.dir = dir;
+    this.jobs = new Map();
+    this.writes = new Map(); // job id -> pending write, keeps writes ordered
+  }
+
+  /**
+   * Load persisted jobs. Jobs that were still running when the broker went
+   * down are marked as failed.
+   */
+  async load() {
+    await fs.mkdir(this.dir, { recursive: true });
+    const files = await fs.readdir(this.dir);
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const job = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        this.jobs.set(job.id, job);
+
+        if (!FINISHED.includes(job.status)) {
+          this.update(job.id, {
+            status: 'failed',
+            error: { code: 50, msg: 'INTERRUPTED', details: 'Broker restarted while the job was running' }
+          });
+        }
+      } catch (error) {
+        logger.warn(`Skipping unreadable job file ${file}`, { error: error.message });
+      }
+    }
+
+    await this.prune();
+    logger.info(`Loaded ${this.jobs.size} jobs`);
+
+    this.pruneTimer = setInterval(() => this.prune(), 60 * 60 * 1000);
+    this.pruneTimer.unref();
+  }
+
+  create({ id, tool, verb, callerId }) {
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      status: 'running',
+      tool,
+      verb,
+      caller_id: callerId,
+      progress: null,
+      result: null,
+      error: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    this.jobs.set(id, job);
+    this._persist(job);
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  has(id) {
+    return this.jobs.has(id);
+  }
+
+  update(id, patch) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    Object.assign(job, patch, { updated_at: new Date().toISOString() });
+    this._persist(job);
+    return job;
+  }
+
+  isFinished(job) {
+    return FINISHED.includes(job.status);
+  }
+
+  /**
+   * Drop finished jobs older than the retention period
+   */
+  async prune() {
+    const cutoff = Date.now() - config.JOB_TTL_MS;
+
+    for (const job of this.jobs.values()) {
+      if (this.isFinished(job) && Date.parse(job.updated_at) < cutoff) {
+        this.jobs.delete(job.id);
+        await this._settle(job.id);
+        await fs.rm(this._file(job.id), { force: true });
+      }
+    }
+  }
+
+  _file(id) {
+    return path.join(this.dir, `${encodeURIComponent(id)}.json`);
+  }
+
+  _persist(job) {
+    const snapshot = JSON.stringify(job, null, 2);
+    const file = this._file(job.id);
+    const previous = this.writes.get(job.id) || Promise.resolve();
+
+    const write = previous
+      .then(async () => {
+        await fs.writeFile(`${file}.tmp`, snapshot, 'utf8');
+        await fs.rename(`${file}.tmp`, file);
+      })
+      .catch(error => {
+        logger.error(`Failed to persist job ${job.id}`, { error: error.message });
+      });
+
+    this.writes.set(job.id, write);
+    write.then(() => {
+      if (this.writes.get(job.id) === write) this.writes.delete(job.id);
+    });
+  }
+
+  async _settle(id) {
+    await this.writes.get(id);
+  }
+
+  /**
+   * Wait for pending writes (used when the broker shuts down)
+   */
+  async flush() {
+    await Promise.all(this.writes.values());
+  }
+}
+
+module.exports = JobStore;
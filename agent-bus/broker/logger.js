@@ -1,10 +1,11 @@
 const winston = require('winston');
+const fs = require('fs');
 const path = require('path');
 const config = require('./config');
 
 // Create logs directory if it doesn't exist
 const logDir = path.join(__dirname, 'logs');
-require('fs').mkdirSync(logDir, { recursive: true });
+fs.mkdirSync(logDir, { recursive: true });
 
 // Define log format
 const logFormat = winston.format.combine(
@@ -52,6 +53,15 @@ if (config.NODE_ENV !== 'production') {
   }));
 }
 
+// The MCP stdio server owns stdout, so console logging moves to stderr
+function logToStderr() {
+  for (const transport of logger.transports) {
+    if (transport instanceof winston.transports.Console) {
+      transport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+    }
+  }
+}
+
 // Log broker events
 logger.stream = {
   write: (message) => {
@@ -73,55 +83,17 @@ function logRequest(req, res, next) {
       duration: `${duration}ms`,
       ip: req.ip,
       userAgent: req.get('user-agent'),
-      callerId: req.get('x-caller-id') || 'unknown'
+      // Verified identity when API keys are in use, self-asserted otherwise
+      callerId: req.caller?.id || req.get('x-caller-id') || 'unknown',
+      traceId: req.span?.traceId
     });
   });
   
   next();
 }
 
-// Log function for tool invocations
-function logInvocation(tool, verb, args, result, error = null, callerId = 'unknown') {
-  const logEntry = {
-    timestamp: new Date().toISOString(),
-    caller_id: callerId,
-    tool,
-    verb,
-    args_hash: hashObject(args),
-    code: error ? error.code || 50 : 0,
-    ms: result?.duration || 0,
-    success: !error,
-    error: error ? error.message : undefined
-  };
-  
-  logger.info('invocation', logEntry);
-  
-  // Also write to the bus log file
-  fs.appendFileSync(
-    path.join(logDir, 'bus.log'),
-    JSON.stringify(logEntry) + '\n',
-    { flag: 'a' }
-  );
-}
-
-// Helper function to create a hash of an object
-function hashObject(obj) {
-  const str = JSON.stringify(obj);
-  let hash = 0;
-  
-  if (str.length === 0) return hash;
-  
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  
-  return hash.toString(16);
-}
-
 module.exports = {
   logger,
   logRequest,
-  logInvocation
+  logToStderr
 };
@@ -2,30 +2,152 @@ const fs = require('fs').promises;
 const path = require('path');
 const YAML = require('yaml');
 const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const stableStringify = require('./stableStringify');
 const { logger } = require('./logger');
 
-const ajv = new Ajv({ allErrors: true, strict: false });
+function createAjv() {
+  const instance = new Ajv({ allErrors: true, strict: false, useDefaults: true });
+  addFormats(instance);
+  return instance;
+}
+
+const ajv = createAjv();
+
+// Retrying failed adapter calls: `on` lists the adapter error codes (numbers)
+// or names (msg) worth another attempt
+const retrySchema = {
+  type: 'object',
+  properties: {
+    on: { type: 'array', items: { type: ['integer', 'string'] } },
+    max_attempts: { type: 'integer', minimum: 1 },
+    backoff_ms: { type: 'integer', minimum: 0 },
+    backoff_multiplier: { type: 'number', minimum: 1 },
+    max_backoff_ms: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
 
 // Schema for validating tool manifests
+// A requirement: a name, alternative names, or either with the platforms it
+// applies to and a fix hint
+const requirementListSchema = {
+  type: 'array',
+  items: {
+    oneOf: [
+      { type: 'string' },
+      {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: {
+            oneOf: [
+              { type: 'string' },
+              { type: 'array', items: { type: 'string' }, minItems: 1 }
+            ]
+          },
+          os: { type: 'array', items: { type: 'string' } },
+          hint: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    ]
+  }
+};
+
 const manifestSchema = {
   type: 'object',
   required: ['tool_id', 'version', 'trust_tier', 'verbs'],
   properties: {
-    tool_id: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+    // No `__` and no trailing `_`, so MCP and provider tool names (the verb id
+    // with `__` for the dot) can be turned back into verb ids
+    tool_id: { type: 'string', pattern: '^[a-z](?:_?[a-z0-9])*$' },
     version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
     trust_tier: { type: 'string', enum: ['A', 'B', 'C'] },
     description: { type: 'string' },
+    entrypoint: { type: 'string' }, // relative to the manifest, cli.js by default
+    worker: {
+      type: 'object',
+      required: ['protocol'],
+      properties: {
+        protocol: { type: 'string', enum: ['ndjson'] },
+        pool_size: { type: 'integer', minimum: 1 },
+        idle_timeout_ms: { type: 'integer', minimum: 1000 }
+      }
+    },
+    retry: retrySchema,
+    circuit_breaker: {
+      type: 'object',
+      properties: {
+        failure_threshold: { type: 'integer', minimum: 0 },
+        cooldown_ms: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    requirements: {
+      type: 'object',
+      properties: {
+        os: { type: 'array', items: { type: 'string' } },
+        binaries: requirementListSchema,
+        modules: requirementListSchema,
+        browsers: requirementListSchema,
+        env: requirementListSchema,
+        hint: { type: 'string' }
+      },
+      additionalProperties: false
+    },
+    max_concurrency: { type: 'integer', minimum: 1 },
+    concurrency_key: {
+      type: 'object',
+      required: ['arg'],
+      properties: {
+        arg: { type: 'string' },
+        max: { type: 'integer', minimum: 1 }
+      },
+      additionalProperties: false
+    },
     verbs: {
       type: 'array',
       items: {
         type: 'object',
         required: ['id', 'args', 'returns'],
         properties: {
-          id: { type: 'string', pattern: '^[a-z][a-z0-9_]*\\.[a-z][a-z0-9_]*$' },
+          id: { type: 'string', pattern: '^[a-z](?:_?[a-z0-9])*\\.[a-z](?:_?[a-zA-Z0-9])*$' },
           description: { type: 'string' },
           args: { type: 'object' },
           returns: { type: 'object' },
           confirm: { type: 'boolean', default: false },
+          dry_run: { type: 'boolean', default: false },
+          returns_validation: { type: 'string', enum: ['off', 'warn', 'strict'] },
+          timeout_ms: { type: 'integer', minimum: 1 },
+          retry: retrySchema,
+          cache: {
+            type: 'object',
+            oneOf: [{ required: ['ttl_seconds'] }, { required: ['ttl_ms'] }],
+            properties: {
+              ttl_seconds: { type: 'integer', minimum: 1 },
+              ttl_ms: { type: 'integer', minimum: 1 },
+              key_args: { type: 'array', items: { type: 'string' } }
+            },
+            additionalProperties: false
+          },
+          invalidates: {
+            type: 'array',
+            items: {
+              oneOf: [
+                { type: 'string' },
+                {
+                  type: 'object',
+                  required: ['verb'],
+                  properties: {
+                    verb: { type: 'string' },
+                    match: { type: 'object', additionalProperties: { type: 'string' } }
+                  },
+                  additionalProperties: false
+                }
+              ]
+            }
+          },
           examples: {
             type: 'array',
             items: {
@@ -46,82 +168,235 @@ const manifestSchema = {
 
 const validateManifest = ajv.compile(manifestSchema);
 
+const MANIFEST_FILE = 'manifest.yaml';
+const DEFAULT_ENTRYPOINT = 'cli.js';
+const NPM_KEYWORD = 'agent-bus';
+
+async function isFile(file) {
+  try {
+    return (await fs.stat(file)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The adapter packages in a directory: the directory itself if it holds a
+ * manifest, otherwise its subdirectories that do. A missing plugin
+ * directory is skipped; a missing built-in one is an error.
+ */
+async function packagesIn(dir, source) {
+  if (await isFile(path.join(dir, MANIFEST_FILE))) return [{ dir, source }];
+  
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (source === 'builtin') throw error;
+    logger.warn(`Cannot read plugin directory ${dir}`, { error: error.message });
+    return [];
+  }
+  
+  const packages = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const packageDir = path.join(dir, entry.name);
+    if (entry.isDirectory() && await isFile(path.join(packageDir, MANIFEST_FILE))) {
+      packages.push({ dir: packageDir, source });
+    }
+  }
+  return packages;
+}
+
+/**
+ * Installed npm packages (scoped ones included) with the `agent-bus`
+ * keyword in their package.json
+ */
+async function npmPackages(nodeModulesDir) {
+  let names;
+  try {
+    names = await fs.readdir(nodeModulesDir);
+  } catch {
+    return [];
+  }
+  
+  const dirs = [];
+  for (const name of names.filter(name => !name.startsWith('.'))) {
+    if (name.startsWith('@')) {
+      const scoped = await fs.readdir(path.join(nodeModulesDir, name)).catch(() => []);
+      dirs.push(...scoped.map(child => path.join(nodeModulesDir, name, child)));
+    } else {
+      dirs.push(path.join(nodeModulesDir, name));
+    }
+  }
+  
+  const packages = [];
+  for (const dir of dirs.sort()) {
+    try {
+      const { name, keywords } = JSON.parse(await fs.readFile(path.join(dir, 'package.json'), 'utf8'));
+      if (Array.isArray(keywords) && keywords.includes(NPM_KEYWORD)) {
+        packages.push({ dir, source: 'npm', name });
+      }
+    } catch {
+      // Not a package
+    }
+  }
+  return packages;
+}
+
 /**
- * Load and validate all tool manifests
+ * Find adapter packages (a manifest.yaml next to the adapter's entrypoint)
+ * in order of precedence: the built-in adapters directory, the plugin
+ * directories in the order given, then npm packages from `nodeModulesDir`
+ * when it is set
  */
-async function loadManifests(manifestsDir) {
+async function discoverPackages({ adaptersDir, pluginDirs = [], nodeModulesDir = null }) {
+  const packages = await packagesIn(adaptersDir, 'builtin');
+  for (const dir of pluginDirs) {
+    packages.push(...await packagesIn(dir, 'plugin'));
+  }
+  if (nodeModulesDir) {
+    packages.push(...await npmPackages(nodeModulesDir));
+  }
+  return packages;
+}
+
+/**
+ * Load and validate the manifests of the packages found by
+ * discoverPackages. Resolves with `{ manifests, packages, errors }`, where
+ * `packages` maps each tool id to `{ dir, entrypoint, source, name }`. When
+ * two packages claim the same tool_id the first one keeps it and the other
+ * is reported as an error. When reloading, pass the manifests and packages
+ * currently in use as `previous` and `previousPackages`: a package whose
+ * manifest no longer loads keeps the tool it provided.
+ */
+async function loadManifests(found, { previous = {}, previousPackages = {} } = {}) {
   const manifests = {};
+  const packages = {};
   const errors = [];
+  const keepPrevious = (dir) => {
+    const toolId = Object.keys(previousPackages).find(id => previousPackages[id].dir === dir);
+    if (!toolId || manifests[toolId] || !previous[toolId]) return;
+    manifests[toolId] = previous[toolId];
+    packages[toolId] = previousPackages[toolId];
+    logger.warn(`Keeping previous manifest for tool: ${toolId}@${previous[toolId].version}`);
+  };
   
-  try {
-    const toolDirs = await fs.readdir(manifestsDir, { withFileTypes: true });
+  for (const { dir, source, name } of found) {
+    let manifest;
+    try {
+      manifest = YAML.parse(await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+      errors.push({ package: dir, error: 'Failed to load manifest', details: error.message });
+      keepPrevious(dir);
+      continue;
+    }
     
-    for (const dirent of toolDirs) {
-      if (!dirent.isDirectory()) continue;
-      
-      const toolId = dirent.name;
-      const manifestPath = path.join(manifestsDir, toolId, 'manifest.yaml');
-      
-      try {
-        // Read and parse the manifest
-        const manifestContent = await fs.readFile(manifestPath, 'utf8');
-        const manifest = YAML.parse(manifestContent);
-        
-        // Validate against schema
-        const valid = validateManifest(manifest);
-        if (!valid) {
-          errors.push({
-            tool: toolId,
-            error: 'Invalid manifest schema',
-            details: validateManifest.errors
-          });
-          continue;
-        }
-        
-        // Ensure tool_id matches directory name
-        if (manifest.tool_id !== toolId) {
-          errors.push({
-            tool: toolId,
-            error: `tool_id '${manifest.tool_id}' does not match directory name`
-          });
-          continue;
-        }
-        
-        // Validate verb IDs match the tool_id
-        for (const verb of manifest.verbs) {
-          const [toolPrefix] = verb.id.split('.');
-          if (toolPrefix !== toolId) {
-            errors.push({
-              tool: toolId,
-              verb: verb.id,
-              error: `Verb ID must start with tool_id (${toolId}.)`
-            });
-          }
-        }
-        
-        manifests[toolId] = manifest;
-        logger.info(`Loaded manifest for tool: ${toolId}@${manifest.version}`);
-        
-      } catch (error) {
+    // Validate against schema
+    if (!validateManifest(manifest)) {
+      errors.push({
+        package: dir,
+        tool: manifest?.tool_id,
+        error: 'Invalid manifest schema',
+        details: validateManifest.errors
+      });
+      keepPrevious(dir);
+      continue;
+    }
+    
+    const toolId = manifest.tool_id;
+    if (packages[toolId]) {
+      errors.push({
+        package: dir,
+        tool: toolId,
+        error: `tool_id '${toolId}' is already provided by ${packages[toolId].dir}`
+      });
+      continue;
+    }
+    
+    // The entrypoint sits inside the package
+    const entrypoint = path.resolve(dir, manifest.entrypoint || DEFAULT_ENTRYPOINT);
+    if (path.relative(dir, entrypoint).startsWith('..') || !await isFile(entrypoint)) {
+      errors.push({
+        package: dir,
+        tool: toolId,
+        error: `Entrypoint ${manifest.entrypoint || DEFAULT_ENTRYPOINT} not found in the package`
+      });
+      keepPrevious(dir);
+      continue;
+    }
+    
+    // Validate verb IDs match the tool_id
+    for (const verb of manifest.verbs) {
+      const [toolPrefix] = verb.id.split('.');
+      if (toolPrefix !== toolId) {
         errors.push({
+          package: dir,
           tool: toolId,
-          error: 'Failed to load manifest',
-          details: error.message
+          verb: verb.id,
+          error: `Verb ID must start with tool_id (${toolId}.)`
         });
       }
     }
     
-    // Log any errors
-    if (errors.length > 0) {
-      logger.warn(`Encountered ${errors.length} errors loading manifests`, { errors });
-    }
+    manifests[toolId] = manifest;
+    packages[toolId] = { dir, entrypoint, source, ...(name && { name }) };
+    logger.info(`Loaded manifest for tool: ${toolId}@${manifest.version}`, { source, dir });
+  }
+  
+  // Log any errors
+  if (errors.length > 0) {
+    logger.warn(`Encountered ${errors.length} errors loading manifests`, { errors });
+  }
+  
+  return { manifests, packages, errors };
+}
+
+/**
+ * Compile a fixed schema (such as a config file's) with the shared Ajv
+ * instance. Defaults declared in the schema are applied to the data being
+ * validated.
+ */
+function compileSchema(schema) {
+  return ajv.compile(schema);
+}
+
+/**
+ * A compiler for the verb schemas of one load, with its own Ajv instance:
+ * Ajv keeps every schema it compiles, so each load starts afresh and what
+ * it compiled is freed along with the verb cache it built. Equal schemas
+ * (two verbs returning the same `$id`, say) share one validator.
+ */
+function createSchemaCompiler() {
+  const instance = createAjv();
+  const validators = new Map(); // serialized schema -> validator
+
+  return (schema) => {
+    const key = stableStringify(schema);
+    if (!validators.has(key)) validators.set(key, instance.compile(schema));
+    return validators.get(key);
+  };
+}
+
+/**
+ * Turn Ajv errors into a list of { pointer, message } entries, where pointer
+ * is the JSON pointer of the offending value inside the validated data
+ */
+function formatSchemaErrors(errors = []) {
+  return errors.map(error => {
+    const escape = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    let pointer = error.instancePath;
     
-    return { manifests, errors };
+    if (error.keyword === 'required') {
+      pointer += `/${escape(error.params.missingProperty)}`;
+    } else if (error.keyword === 'additionalProperties') {
+      pointer += `/${escape(error.params.additionalProperty)}`;
+    }
     
-  } catch (error) {
-    logger.error('Failed to load manifests', { error: error.message });
-    throw error;
-  }
+    return {
+      pointer: pointer || '/',
+      message: error.message
+    };
+  });
 }
 
 /**
@@ -148,7 +423,12 @@ function getAllVerbs(manifests) {
 }
 
 module.exports = {
+  discoverPackages,
   loadManifests,
   getAllVerbs,
+  compileSchema,
+  createSchemaCompiler,
+  formatSchemaErrors,
+  validateManifest,
   manifestSchema
 };
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const config = require('./config');
+
+/**
+ * Watches directories (recursively) and reports the files that changed,
+ * batching bursts of events such as an editor's write + rename
+ */
+class ManifestWatcher {
+  constructor(dirs, onChange, { debounceMs = config.RELOAD_DEBOUNCE_MS } = {}) {
+    this.dirs = dirs;
+    this.onChange = onChange;
+    this.debounceMs = debounceMs;
+    this.watchers = [];
+    this.changed = new Set();
+    this.timer = null;
+  }
+
+  start() {
+    for (const dir of this.dirs) {
+      try {
+        const watcher = fs.watch(dir, { recursive: true }, (eventType, filename) => {
+          if (!filename || filename.split(path.sep).includes('node_modules')) return;
+          this._queue(path.join(dir, filename));
+        });
+
+        watcher.on('error', (error) => {
+          logger.warn(`Stopped watching ${dir}`, { error: error.message });
+        });
+
+        this.watchers.push(watcher);
+        logger.info(`Watching ${dir} for changes`);
+      } catch (error) {
+        logger.warn(`Cannot watch ${dir}`, { error: error.message });
+      }
+    }
+  }
+
+  _queue(file) {
+    this.changed.add(file);
+    clearTimeout(this.timer);
+
+    this.timer = setTimeout(() => {
+      const files = [...this.changed];
+      this.changed.clear();
+      Promise.resolve(this.onChange(files)).catch(error => {
+        logger.error('Reload after file change failed', { error: error.message });
+      });
+    }, this.debounceMs);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+  }
+}
+
+module.exports = ManifestWatcher;
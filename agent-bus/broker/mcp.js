@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// MCP server on stdio (`npm run mcp`). AGENT_BUS_API_KEY identifies the
+// caller when API keys are in use; MCP_TOOLPACK_GOAL limits the tools to a
+// toolpack planned for that goal.
+const { logger, logToStderr } = require('./logger');
+
+logToStderr();
+const broker = require('./app');
+
+(async () => {
+  try {
+    await broker.init();
+    await broker.mcp.connectStdio({
+      apiKey: process.env.AGENT_BUS_API_KEY,
+      goal: process.env.MCP_TOOLPACK_GOAL
+    });
+
+    const shutdown = async (reason) => {
+      logger.info(`MCP stdio server stopping (${reason})`);
+      await broker.stop();
+      process.exit(0);
+    };
+
+    process.stdin.on('end', () => shutdown('stdin closed'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+  } catch (err) {
+    logger.error('Failed to start the MCP server', { error: err.message });
+    process.exit(1);
+  }
+})();
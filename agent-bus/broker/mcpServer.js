@@ -0,0 +1,269 @@
+const { randomUUID } = require('crypto');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  isInitializeRequest
+} = require('@modelcontextprotocol/sdk/types.js');
+const { isAllowed } = require('./apiKeys');
+const { toolName, describe } = require('./toolFormats');
+const { BrokerError } = require('./errors');
+const { logger } = require('./logger');
+const config = require('./config');
+const { version } = require('../package.json');
+
+/**
+ * Serves the broker's verbs as Model Context Protocol tools, over stdio or
+ * streamable HTTP. Each session is bound to a caller (its API key) and
+ * optionally to a toolpack from /plan, which limits the tools it sees.
+ * Tool calls go through prepareInvocation and performInvocation like
+ * /invoke, so scopes, policy, confirmations, rate limits and the audit log
+ * all apply.
+ */
+class McpBridge {
+  constructor(broker) {
+    this.broker = broker;
+    this.sessions = new Map(); // session id -> { transport, caller, callerId, toolpackId, openRequests, idleTimer }
+    this.servers = new Set(); // every connected server, to announce tool list changes
+  }
+
+  /**
+   * The verbs a session may see, by MCP tool name (tools that cannot run on
+   * this machine are left out)
+   */
+  visibleVerbs({ caller, toolpackId }) {
+    const verbs = new Map();
+
+    for (const [verbId, verbInfo] of this.broker.verbCache) {
+      const { toolId } = verbInfo;
+      if (!isAllowed(caller, toolId, verbId, this.broker.manifests[toolId].trust_tier)) continue;
+      if (this.broker.availability[toolId]?.available === false) continue;
+      if (toolpackId && this.broker.toolRouter.validateToolpackAccess(toolpackId, toolId, verbId).valid !== true) continue;
+
+      verbs.set(toolName(verbId), verbInfo);
+    }
+    return verbs;
+  }
+
+  createServer(session) {
+    const server = new Server(
+      { name: 'agent-bus', version },
+      { capabilities: { tools: { listChanged: true } } }
+    );
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: [...this.visibleVerbs(session)].map(([name, { verb }]) => ({
+        name,
+        title: verb.id,
+        description: describe(verb),
+        inputSchema: { type: 'object', ...verb.args }
+      }))
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, (request, extra) =>
+      this.callTool(session, request.params, extra));
+
+    server.onclose = () => this.servers.delete(server);
+    this.servers.add(server);
+    return server;
+  }
+
+  /**
+   * Run a tools/call. Broker errors are returned as tool errors (`isError`)
+   * carrying the usual error envelope, so the model can read them.
+   */
+  async callTool(session, { name, arguments: args = {} }, extra) {
+    const verbInfo = this.visibleVerbs(session).get(name);
+    const body = {
+      tool: verbInfo?.toolId,
+      verb: verbInfo?.verb.id,
+      args,
+      caller_id: session.callerId,
+      toolpack_id: session.toolpackId
+    };
+    const requestId = randomUUID();
+
+    try {
+      if (!verbInfo) {
+        throw new BrokerError(404, 10, 'UNKNOWN_VERB', `Unknown tool: ${name}`);
+      }
+
+      // Over HTTP the request headers count as for /invoke (trace context,
+      // x-confirm in header mode)
+      const headers = { ...extra.requestInfo?.headers };
+      const invocation = this.broker.prepareInvocation(body, headers, session.caller);
+      extra.signal.addEventListener('abort', () => this.broker.cancelInvocation(requestId), { once: true });
+      const result = await this.broker.performInvocation(requestId, invocation);
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result.data ?? null) }],
+        ...(result.data && typeof result.data === 'object' && !Array.isArray(result.data) && {
+          structuredContent: result.data
+        })
+      };
+
+    } catch (error) {
+      const envelope = this.errorEnvelope(error, body, session);
+      return {
+        isError: true,
+        content: [{ type: 'text', text: JSON.stringify({ ...envelope, request_id: requestId }) }]
+      };
+    }
+  }
+
+  /**
+   * The error envelope for a failed tools/call. A call that needs approval
+   * is held and answered with its pending confirmation, unless holding it
+   * fails too (rate limited, too many pending).
+   */
+  errorEnvelope(error, body, session) {
+    if (error.needsApproval) {
+      try {
+        return {
+          ok: false,
+          code: 12,
+          msg: 'PENDING_CONFIRMATION',
+          details: this.broker.holdForApproval('invoke', body, session.caller)
+        };
+      } catch (holdError) {
+        return this.errorEnvelope(holdError, body, session);
+      }
+    }
+    if (error instanceof BrokerError) return error.toJSON();
+    return { ok: false, code: error.code || 50, msg: error.message || 'ADAPTER_ERROR' };
+  }
+
+  /**
+   * Serve a single session on stdin/stdout. The caller comes from
+   * AGENT_BUS_API_KEY, and MCP_TOOLPACK_GOAL plans a toolpack for the
+   * session, which lasts as long as the connection (it does not expire
+   * after TOOLPACK_TTL like toolpacks from /plan).
+   */
+  async connectStdio({ apiKey, goal } = {}) {
+    const session = { caller: null, callerId: 'mcp-stdio', toolpackId: null };
+
+    if (this.broker.apiKeys.enabled) {
+      session.caller = this.broker.apiKeys.authenticate(apiKey);
+      if (!session.caller) throw new Error('AGENT_BUS_API_KEY is missing or unknown');
+      session.callerId = session.caller.id;
+    }
+
+    if (goal) {
+      const toolpack = this.broker.toolRouter.createToolpack(goal, 8, {
+        filter: (toolId, verbId, trustTier) => isAllowed(session.caller, toolId, verbId, trustTier),
+        persistent: true
+      });
+      session.toolpackId = toolpack.toolpack_id;
+    }
+
+    const transport = new StdioServerTransport();
+    transport.onclose = () => {
+      if (session.toolpackId) this.broker.toolRouter.removeToolpack(session.toolpackId);
+    };
+    await this.createServer(session).connect(transport);
+    logger.info('MCP server listening on stdio', { callerId: session.callerId, toolpackId: session.toolpackId });
+  }
+
+  /**
+   * Express handler for /mcp (POST, GET and DELETE). An initialize request
+   * without a session id opens a session; `x-toolpack-id` on it limits the
+   * session to a toolpack, which then lasts as long as the session. A
+   * session with no open request for MCP_SESSION_IDLE_MS is closed.
+   */
+  async handleHttp(req, res) {
+    const sessionId = req.get('mcp-session-id');
+
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      if (!session) {
+        throw new BrokerError(404, 10, 'UNKNOWN_SESSION', `No MCP session ${sessionId}`);
+      }
+      if (session.caller?.id !== req.caller?.id) {
+        throw new BrokerError(403, 11, 'NO_SCOPE', 'The MCP session belongs to another caller');
+      }
+      this.trackRequest(session, res);
+      return session.transport.handleRequest(req, res, req.body);
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+      throw new BrokerError(400, 10, 'INVALID_ARGS', 'Start an MCP session with an initialize request');
+    }
+
+    const toolpackId = req.get('x-toolpack-id') || null;
+    if (toolpackId && !this.broker.toolRouter.keepToolpack(toolpackId)) {
+      throw new BrokerError(403, 11, 'TOOLPACK_EXPIRED', `Toolpack ${toolpackId} does not exist or has expired`);
+    }
+
+    const session = {
+      caller: req.caller,
+      callerId: req.caller ? req.caller.id : req.get('x-caller-id'),
+      toolpackId,
+      openRequests: 0,
+      idleTimer: null
+    };
+    session.transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, session);
+        logger.info(`MCP session ${id} opened`, { callerId: session.callerId, toolpackId });
+      }
+    });
+    session.transport.onclose = () => this.closeSession(session);
+
+    this.trackRequest(session, res);
+    await this.createServer(session).connect(session.transport);
+    return session.transport.handleRequest(req, res, req.body);
+  }
+
+  /**
+   * Count a request as session activity. The idle timer starts once the
+   * last open request (which may be a long-lived GET stream) has finished.
+   */
+  trackRequest(session, res) {
+    session.openRequests++;
+    clearTimeout(session.idleTimer);
+
+    res.on('close', () => {
+      if (--session.openRequests > 0) return;
+      clearTimeout(session.idleTimer);
+      session.idleTimer = setTimeout(() => {
+        logger.info(`Closing idle MCP session ${session.transport.sessionId}`, { callerId: session.callerId });
+        session.transport.close();
+      }, config.MCP_SESSION_IDLE_MS);
+      session.idleTimer.unref();
+    });
+  }
+
+  /**
+   * Forget a closed session, and remove its toolpack once no other session
+   * uses it
+   */
+  closeSession(session) {
+    clearTimeout(session.idleTimer);
+    if (session.transport.sessionId) this.sessions.delete(session.transport.sessionId);
+
+    const { toolpackId } = session;
+    if (toolpackId && ![...this.sessions.values()].some(other => other.toolpackId === toolpackId)) {
+      this.broker.toolRouter.removeToolpack(toolpackId);
+    }
+  }
+
+  /**
+   * Tell connected clients to fetch the tool list again (after a reload)
+   */
+  notifyToolsChanged() {
+    for (const server of this.servers) {
+      server.sendToolListChanged().catch(error => {
+        logger.debug('Could not announce tool list change', { error: error.message });
+      });
+    }
+  }
+
+  async close() {
+    await Promise.all([...this.servers].map(server => server.close()));
+  }
+}
+
+module.exports = McpBridge;
@@ -0,0 +1,100 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics served by GET /metrics. Counters and the histogram are
+ * updated where things happen; gauges are set by the broker right before a
+ * scrape.
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'agent_bus_' });
+
+const invocations = new client.Counter({
+  name: 'agent_bus_invocations_total',
+  help: 'Invocations by tool, verb and result code (0 is success)',
+  labelNames: ['tool', 'verb', 'code'],
+  registers: [register]
+});
+
+const invocationDuration = new client.Histogram({
+  name: 'agent_bus_invocation_duration_seconds',
+  help: 'Invocation latency, from the start of the call to the adapter result',
+  labelNames: ['tool', 'verb'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  registers: [register]
+});
+
+const adapterSpawnFailures = new client.Counter({
+  name: 'agent_bus_adapter_spawn_failures_total',
+  help: 'Adapter processes (one-shot or worker) that could not be started',
+  labelNames: ['tool'],
+  registers: [register]
+});
+
+const confirmationRejections = new client.Counter({
+  name: 'agent_bus_confirmation_rejections_total',
+  help: 'Confirmations rejected by an approver',
+  labelNames: ['kind'],
+  registers: [register]
+});
+
+const adapterRetries = new client.Counter({
+  name: 'agent_bus_adapter_retries_total',
+  help: 'Adapter calls retried under the manifest retry policy',
+  labelNames: ['tool', 'verb'],
+  registers: [register]
+});
+
+const queuedInvocations = new client.Gauge({
+  name: 'agent_bus_queued_invocations',
+  help: 'Calls waiting for a free slot under the tool concurrency limits',
+  labelNames: ['tool'],
+  registers: [register]
+});
+
+const circuitState = new client.Gauge({
+  name: 'agent_bus_circuit_state',
+  help: 'Circuit breakers that are not closed: 1 half-open, 2 open',
+  labelNames: ['tool'],
+  registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'agent_bus_cache_lookups_total',
+  help: 'Result cache lookups for cacheable verbs, by result (hit or miss)',
+  labelNames: ['tool', 'verb', 'result'],
+  registers: [register]
+});
+
+const cacheEntries = new client.Gauge({
+  name: 'agent_bus_cache_entries',
+  help: 'Results held in the result cache',
+  registers: [register]
+});
+
+const toolpacks = new client.Gauge({
+  name: 'agent_bus_toolpacks',
+  help: 'Live toolpacks created by /plan',
+  registers: [register]
+});
+
+const childProcesses = new client.Gauge({
+  name: 'agent_bus_child_processes',
+  help: 'Running adapter processes: one-shot calls in flight and persistent workers',
+  labelNames: ['kind'],
+  registers: [register]
+});
+
+module.exports = {
+  register,
+  invocations,
+  invocationDuration,
+  adapterSpawnFailures,
+  adapterRetries,
+  circuitState,
+  queuedInvocations,
+  confirmationRejections,
+  cacheLookups,
+  cacheEntries,
+  toolpacks,
+  childProcesses
+};
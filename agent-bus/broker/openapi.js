@@ -0,0 +1,249 @@
+const { version } = require('../package.json');
+const config = require('./config');
+
+const ERROR_RESPONSES = {
+  400: 'Invalid arguments (`INVALID_ARGS`)',
+  401: 'Missing or unknown API key (`UNAUTHORIZED`)',
+  403: 'Outside the caller\'s scopes, denied by the policy or not confirmed',
+  404: 'Unknown tool or verb (`UNKNOWN_VERB`)',
+  429: 'Rate limit reached (`RATE_LIMITED`)',
+  499: 'Cancelled (`CANCELLED`)',
+  500: 'Adapter failure',
+  502: 'Adapter output does not match the returns schema (`BAD_ADAPTER_OUTPUT`)',
+  503: 'The tool\'s circuit breaker is open (`TOOL_UNAVAILABLE`) or its queue is full (`QUEUE_FULL`)',
+  504: 'Timed out (`TIMEOUT`)'
+};
+
+// Parts shared by every operation
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key from the broker keys file' },
+    apiKeyHeader: { type: 'apiKey', in: 'header', name: 'x-api-key' }
+  },
+  schemas: {
+    ErrorEnvelope: {
+      type: 'object',
+      required: ['ok', 'code', 'msg'],
+      properties: {
+        ok: { const: false },
+        code: { type: 'integer', description: 'Error class: 10 request, 11 scope, 12 confirmation, 5x adapter' },
+        msg: { type: 'string', description: 'Error name, e.g. INVALID_ARGS' },
+        details: { description: 'A message or structured details' },
+        request_id: { type: 'string' }
+      }
+    },
+    PendingConfirmation: {
+      type: 'object',
+      required: ['ok', 'code', 'msg', 'details'],
+      properties: {
+        ok: { const: false },
+        code: { const: 12 },
+        msg: { const: 'PENDING_CONFIRMATION' },
+        details: {
+          type: 'object',
+          properties: {
+            token: { type: 'string' },
+            summary: { type: 'string' },
+            expires_at: { type: 'string', format: 'date-time' },
+            job_id: { type: 'string' }
+          }
+        },
+        request_id: { type: 'string' }
+      }
+    },
+    InvocationMeta: {
+      type: 'object',
+      properties: {
+        tool: { type: 'string' },
+        verb: { type: 'string' },
+        duration_ms: { type: 'integer' },
+        request_id: { type: 'string' },
+        queue: {
+          type: 'object',
+          description: 'For tools with concurrency limits: calls waiting ahead of this one and the time spent waiting',
+          properties: {
+            depth: { type: 'integer' },
+            waited_ms: { type: 'integer' }
+          }
+        },
+        returns_errors: { type: 'array', items: { type: 'object' } },
+        trace: { type: 'array', items: { type: 'object' } }
+      }
+    }
+  },
+  parameters: {
+    CallerId: {
+      name: 'x-caller-id',
+      in: 'header',
+      description: 'Caller id, when API keys are not in use',
+      schema: { type: 'string' }
+    },
+    ToolpackId: {
+      name: 'x-toolpack-id',
+      in: 'header',
+      description: 'Restrict the call to a toolpack from /plan',
+      schema: { type: 'string' }
+    },
+    TimeoutMs: {
+      name: 'x-timeout-ms',
+      in: 'header',
+      description: 'Override the verb\'s timeout',
+      schema: { type: 'integer', minimum: 1 }
+    },
+    RequestId: {
+      name: 'x-request-id',
+      in: 'header',
+      description: 'Request id, to cancel the call with DELETE /invocations/{request_id}',
+      schema: { type: 'string' }
+    },
+    Traceparent: {
+      name: 'traceparent',
+      in: 'header',
+      description: 'W3C trace context to continue',
+      schema: { type: 'string' }
+    },
+    Confirm: {
+      name: 'x-confirm',
+      in: 'header',
+      description: 'Send `yes` to confirm the call (when the broker runs with CONFIRM_MODE=header)',
+      schema: { type: 'string', enum: ['yes'] }
+    },
+    Priority: {
+      name: 'x-priority',
+      in: 'header',
+      description: 'Place in the queue of tools with concurrency limits',
+      schema: { type: 'string', enum: ['interactive', 'normal', 'background'], default: 'normal' }
+    },
+    DryRun: {
+      name: 'x-dry-run',
+      in: 'header',
+      description: 'Send `true` to get the planned side effects without performing them',
+      schema: { type: 'string', enum: ['true', 'false'] }
+    }
+  },
+  responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, description]) => [
+    `Error${status}`,
+    {
+      description,
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorEnvelope' } } }
+    }
+  ]))
+};
+
+const ref = (kind, name) => ({ $ref: `#/components/${kind}/${name}` });
+
+function buildOperation(manifest, verb) {
+  const examples = verb.examples || [];
+  const exampleKey = (example, index) => example.name || `example${index + 1}`;
+
+  const parameters = ['CallerId', 'ToolpackId', 'TimeoutMs', 'Priority', 'RequestId', 'Traceparent']
+    .map(name => ref('parameters', name));
+  if (verb.confirm) parameters.push(ref('parameters', 'Confirm'));
+  if (verb.dry_run) parameters.push(ref('parameters', 'DryRun'));
+
+  const responseExamples = examples.filter(example => example.expect);
+
+  const responses = {
+    200: {
+      description: 'The verb ran',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['ok', 'data'],
+            properties: {
+              ok: { const: true },
+              data: verb.returns,
+              meta: ref('schemas', 'InvocationMeta')
+            }
+          },
+          ...(responseExamples.length > 0 && {
+            examples: Object.fromEntries(responseExamples.map((example, index) => [
+              exampleKey(example, index),
+              { summary: example.name, value: { ok: true, data: example.expect } }
+            ]))
+          })
+        }
+      }
+    }
+  };
+  if (verb.confirm) {
+    responses[202] = {
+      description: 'Held until an approver confirms it (token mode)',
+      content: { 'application/json': { schema: ref('schemas', 'PendingConfirmation') } }
+    };
+  }
+  for (const status of Object.keys(ERROR_RESPONSES)) {
+    responses[status] = ref('responses', `Error${status}`);
+  }
+
+  return {
+    operationId: verb.id,
+    tags: [manifest.tool_id],
+    summary: verb.description || verb.id,
+    description: [
+      verb.description,
+      `Trust tier ${manifest.trust_tier}.`,
+      verb.confirm && 'Requires confirmation.',
+      verb.dry_run && 'Supports dry runs.'
+    ].filter(Boolean).join(' '),
+    parameters,
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: verb.args,
+          ...(examples.length > 0 && {
+            examples: Object.fromEntries(examples.map((example, index) => [
+              exampleKey(example, index),
+              { summary: example.name, ...(example.description && { description: example.description }), value: example.call || {} }
+            ]))
+          })
+        }
+      }
+    },
+    responses,
+    'x-trust-tier': manifest.trust_tier,
+    'x-confirm': !!verb.confirm,
+    'x-dry-run': !!verb.dry_run
+  };
+}
+
+/**
+ * OpenAPI 3.1 document with one operation per verb, at
+ * POST /invoke/{tool}/{verb}. `include(toolId, verbId, trustTier)` picks the
+ * verbs to describe.
+ */
+function buildOpenApi(manifests, { include = () => true } = {}) {
+  const paths = {};
+  const tags = [];
+
+  for (const [toolId, manifest] of Object.entries(manifests)) {
+    const verbs = manifest.verbs.filter(verb => include(toolId, verb.id, manifest.trust_tier));
+    if (verbs.length === 0) continue;
+
+    tags.push({ name: toolId, description: manifest.description || '' });
+    for (const verb of verbs) {
+      const [, verbName] = verb.id.split('.');
+      paths[`/invoke/${toolId}/${verbName}`] = { post: buildOperation(manifest, verb) };
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Agent Bus',
+      version,
+      description: 'Tool verbs served by the agent bus broker. Each verb takes its args as the request body.'
+    },
+    servers: [{ url: `http://localhost:${config.PORT}` }],
+    security: [{}, { bearerAuth: [] }, { apiKeyHeader: [] }],
+    tags,
+    paths,
+    components
+  };
+}
+
+module.exports = {
+  buildOpenApi
+};
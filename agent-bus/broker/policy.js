@@ -0,0 +1,250 @@
+const fs = require('fs').promises;
+const { realpathSync } = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+const { JSONPath } = require('jsonpath-plus');
+const { compileSchema, formatSchemaErrors } = require('./manifestLoader');
+const { logger } = require('./logger');
+const config = require('./config');
+
+const EFFECTS = ['allow', 'deny', 'confirm'];
+
+// A name or list of names; `*` matches anything and `fs.*` every verb of a tool
+const namePattern = {
+  oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }]
+};
+
+const predicateSchema = {
+  type: 'object',
+  required: ['path'],
+  properties: {
+    path: { type: 'string', pattern: '^\\$' },
+    exists: { type: 'boolean' },
+    equals: {},
+    not_equals: {},
+    in: { type: 'array' },
+    not_in: { type: 'array' },
+    matches: { type: 'string' },
+    starts_with: { type: 'string' },
+    ends_with: { type: 'string' },
+    within: { type: 'string' },
+    max_length: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+// Schema for validating the policy file
+const policySchema = {
+  type: 'object',
+  required: ['rules'],
+  properties: {
+    default: { type: 'string', enum: EFFECTS },
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'effect'],
+        properties: {
+          id: { type: 'string' },
+          description: { type: 'string' },
+          match: {
+            type: 'object',
+            properties: {
+              caller: namePattern,
+              tool: namePattern,
+              verb: namePattern,
+              trust_tier: namePattern
+            },
+            additionalProperties: false
+          },
+          when: { type: 'array', items: predicateSchema },
+          effect: { type: 'string', enum: EFFECTS }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+const validatePolicy = compileSchema(policySchema);
+
+function expandHome(value) {
+  return value === '~' || value.startsWith('~/') ? path.join(os.homedir(), value.slice(1)) : value;
+}
+
+/**
+ * An absolute path with symlinks resolved. A path that does not exist yet
+ * (such as a file about to be written) resolves through its nearest
+ * existing parent.
+ */
+function realPath(target) {
+  const missing = [];
+  let existing = target;
+
+  for (;;) {
+    try {
+      return path.join(realpathSync(existing), ...missing);
+    } catch {
+      const parent = path.dirname(existing);
+      if (parent === existing) return target;
+      missing.unshift(path.basename(existing));
+      existing = parent;
+    }
+  }
+}
+
+function matchesName(pattern, value) {
+  if (pattern === undefined) return true;
+  return [].concat(pattern).some(p =>
+    p === '*' ||
+    p === value ||
+    (p.endsWith('.*') && String(value).startsWith(p.slice(0, -1)))
+  );
+}
+
+/**
+ * Test one value against the operators of a predicate
+ */
+function testValue(predicate, value) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  if ('equals' in predicate && !same(value, predicate.equals)) return false;
+  if ('not_equals' in predicate && same(value, predicate.not_equals)) return false;
+  if (predicate.in && !predicate.in.some(v => same(v, value))) return false;
+  if (predicate.not_in && predicate.not_in.some(v => same(v, value))) return false;
+
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (predicate.matches && !new RegExp(predicate.matches).test(text)) return false;
+  if (predicate.starts_with && !text.startsWith(predicate.starts_with)) return false;
+  if (predicate.ends_with && !text.endsWith(predicate.ends_with)) return false;
+  if (predicate.max_length !== undefined && text.length > predicate.max_length) return false;
+
+  // Path containment after resolving `..` and symlinks, so a link inside
+  // the root cannot point outside it. Adapters run in the broker's working
+  // directory and do not expand `~`, so only the root expands it.
+  if (predicate.within) {
+    const root = realPath(path.resolve(expandHome(predicate.within)));
+    const target = realPath(path.resolve(text));
+    const prefix = root.endsWith(path.sep) ? root : root + path.sep;
+    if (target !== root && !target.startsWith(prefix)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * A predicate holds when every value its JSONPath selects passes the
+ * operators. `exists` checks whether anything was selected at all.
+ */
+function testPredicate(predicate, args) {
+  const values = JSONPath({ path: predicate.path, json: args, wrap: true, eval: false });
+
+  if (predicate.exists !== undefined && (values.length > 0) !== predicate.exists) {
+    return false;
+  }
+  return values.every(value => testValue(predicate, value));
+}
+
+/**
+ * Argument-level allow/deny/confirm rules from the policy file. Rules are
+ * tried in order and the first one that matches decides; without a match
+ * the policy's `default` applies.
+ */
+class PolicyEngine {
+  constructor(file = config.POLICY_FILE) {
+    this.file = file;
+    this.policy = null;
+    this.enabled = false; // no policy file: everything is allowed
+  }
+
+  /**
+   * (Re)load the policy file. An invalid file throws and leaves the current
+   * policy in place.
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.policy = null;
+      this.enabled = false;
+      logger.info(`No policy file at ${this.file}, policy checks are off`);
+      return;
+    }
+
+    const policy = YAML.parse(content);
+    if (!validatePolicy(policy)) {
+      const error = new Error(`Invalid policy file ${this.file}`);
+      error.details = formatSchemaErrors(validatePolicy.errors);
+      throw error;
+    }
+
+    for (const rule of policy.rules) {
+      for (const predicate of rule.when || []) {
+        if (predicate.matches) new RegExp(predicate.matches); // throws on a bad pattern
+      }
+    }
+
+    this.policy = { default: 'allow', ...policy };
+    this.enabled = true;
+    logger.info(`Loaded policy with ${policy.rules.length} rules`);
+  }
+
+  /**
+   * Decide on a call ({ caller, tool, verb, trustTier, args }). Resolves to
+   * { effect, rule, description }, plus the per-rule reasoning in `trace`
+   * when `explain` is set.
+   */
+  evaluate(call, { explain = false } = {}) {
+    if (!this.enabled) {
+      return { effect: 'allow', rule: null, description: 'No policy loaded' };
+    }
+
+    const trace = [];
+    for (const rule of this.policy.rules) {
+      const reason = this._mismatch(rule, call);
+      if (explain) trace.push({ rule: rule.id, matched: !reason, ...(reason && { reason }) });
+
+      if (!reason) {
+        return {
+          effect: rule.effect,
+          rule: rule.id,
+          description: rule.description || null,
+          ...(explain && { trace })
+        };
+      }
+    }
+
+    return {
+      effect: this.policy.default,
+      rule: null,
+      description: 'No rule matched, the default applies',
+      ...(explain && { trace })
+    };
+  }
+
+  /**
+   * Why a rule does not match a call, or null when it does
+   */
+  _mismatch(rule, call) {
+    const match = rule.match || {};
+
+    if (!matchesName(match.caller, call.caller)) return 'caller does not match';
+    if (!matchesName(match.tool, call.tool)) return 'tool does not match';
+    if (!matchesName(match.verb, call.verb)) return 'verb does not match';
+    if (!matchesName(match.trust_tier, call.trustTier)) return 'trust tier does not match';
+
+    for (const predicate of rule.when || []) {
+      if (!testPredicate(predicate, call.args)) {
+        return `predicate on ${predicate.path} does not hold`;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = PolicyEngine;
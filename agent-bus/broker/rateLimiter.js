@@ -0,0 +1,120 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+const config = require('./config');
+
+/**
+ * Fixed-window counters keyed by strings such as `caller:alice` or
+ * `tool:alice:fs`. Counters are saved to a JSON file so restarting the
+ * broker does not reset a budget.
+ */
+class RateLimiter {
+  constructor(file = config.RATE_LIMIT_FILE) {
+    this.file = file;
+    this.windows = new Map(); // key -> { count, resetAt }
+    this.writing = null;
+    this.dirty = false;
+  }
+
+  /**
+   * Load the saved counters, dropping windows that have already ended
+   */
+  async load() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      const now = Date.now();
+
+      for (const [key, window] of Object.entries(saved)) {
+        if (window.resetAt > now) this.windows.set(key, window);
+      }
+      logger.info(`Loaded ${this.windows.size} rate limit counters`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable rate limit file ${this.file}`, { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Count one call against every rule ({ key, limit, windowMs }). The call
+   * is only counted when all the rules allow it. Returns the state of the
+   * most restrictive rule, with `retryAfterMs` when the call is refused.
+   */
+  consume(rules) {
+    const now = Date.now();
+
+    const states = rules.map(rule => {
+      let window = this.windows.get(rule.key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + rule.windowMs };
+      }
+      return { rule, window };
+    });
+
+    const blocked = states.filter(({ rule, window }) => window.count >= rule.limit);
+    if (blocked.length > 0) {
+      const { rule, window } = blocked.reduce((a, b) => (b.window.resetAt > a.window.resetAt ? b : a));
+      return {
+        allowed: false,
+        key: rule.key,
+        limit: rule.limit,
+        remaining: 0,
+        resetMs: window.resetAt - now,
+        retryAfterMs: window.resetAt - now
+      };
+    }
+
+    for (const { rule, window } of states) {
+      window.count++;
+      this.windows.set(rule.key, window);
+    }
+    this._persist();
+
+    const { rule, window } = states.reduce((a, b) =>
+      (b.rule.limit - b.window.count < a.rule.limit - a.window.count ? b : a));
+    return {
+      allowed: true,
+      key: rule.key,
+      limit: rule.limit,
+      remaining: rule.limit - window.count,
+      resetMs: window.resetAt - now
+    };
+  }
+
+  _persist() {
+    this.dirty = true;
+    if (this.writing) return;
+
+    // Writes are coalesced: while one is running, later changes are saved
+    // by the next one
+    this.writing = (async () => {
+      while (this.dirty) {
+        this.dirty = false;
+        const now = Date.now();
+        const snapshot = {};
+        for (const [key, window] of this.windows) {
+          if (window.resetAt > now) snapshot[key] = window;
+          else this.windows.delete(key);
+        }
+
+        try {
+          await fs.mkdir(path.dirname(this.file), { recursive: true });
+          await fs.writeFile(`${this.file}.tmp`, JSON.stringify(snapshot), 'utf8');
+          await fs.rename(`${this.file}.tmp`, this.file);
+        } catch (error) {
+          logger.error('Failed to save rate limit counters', { error: error.message });
+        }
+      }
+      this.writing = null;
+    })();
+  }
+
+  /**
+   * Wait for pending writes (used when the broker shuts down)
+   */
+  async flush() {
+    await this.writing;
+  }
+}
+
+module.exports = RateLimiter;
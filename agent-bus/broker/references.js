@@ -0,0 +1,131 @@
+/**
+ * `${path}` references into earlier outputs, e.g.
+ * `${steps.search.data.results[0].url}`. A string that is exactly one
+ * reference is replaced by the referenced value (keeping its type), otherwise
+ * references are interpolated as text (arrays and objects as JSON).
+ *
+ * A reference may end in a format for text such as Markdown reports:
+ * `${path | list}` writes an array as a bulleted list, one item per line,
+ * and `${path | join}` as a comma-separated line. `| list: field` and
+ * `| join: field` show that field of each item.
+ */
+
+const REFERENCE = /\$\{([^}]+)\}/g;
+const WHOLE_REFERENCE = /^\$\{([^}]+)\}$/;
+const FORMAT = /\|\s*(list|join)\s*(?::\s*([^|]+?))?\s*$/;
+
+/**
+ * Split `path | format: field` into its parts
+ */
+function parseReference(expression) {
+  const match = expression.match(FORMAT);
+  if (!match) return { path: expression.trim() };
+  return { path: expression.slice(0, match.index).trim(), format: match[1], field: match[2] };
+}
+
+function toText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Render a value as a Markdown list or a comma-separated line
+ */
+function formatValue(value, format, field) {
+  const items = (Array.isArray(value) ? value : [value])
+    .filter(item => item !== null && item !== undefined)
+    .map(item => toText(field !== undefined && item && typeof item === 'object' ? lookup(item, field) : item));
+
+  if (format === 'join') return items.join(', ');
+  return items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '- none';
+}
+
+/**
+ * The value of a reference expression, formatted when it names a format
+ */
+function evaluate(context, expression) {
+  const { path, format, field } = parseReference(expression);
+  const value = lookup(context, path);
+  return format ? formatValue(value, format, field) : value;
+}
+
+/**
+ * Split a path like `steps.search.data.results[0]["url"]` into its keys
+ */
+function parsePath(expression) {
+  const keys = [];
+  const pattern = /([^.[\]]+)|\[(\d+)\]|\["([^"]*)"\]|\['([^']*)'\]/g;
+  let match;
+
+  while ((match = pattern.exec(expression.trim())) !== null) {
+    if (match[1] !== undefined) keys.push(match[1]);
+    else if (match[2] !== undefined) keys.push(Number(match[2]));
+    else keys.push(match[3] ?? match[4]);
+  }
+
+  return keys;
+}
+
+/**
+ * Look up a path in the context, throwing when any part of it is missing.
+ * Only own properties count, so `constructor` or `__proto__` do not resolve.
+ */
+function lookup(context, expression) {
+  let value = context;
+
+  for (const key of parsePath(expression)) {
+    if (value === null || value === undefined || !Object.hasOwn(Object(value), key)) {
+      const error = new Error(`Cannot resolve reference \${${expression}}`);
+      error.reference = expression;
+      throw error;
+    }
+    value = value[key];
+  }
+
+  return value;
+}
+
+/**
+ * Replace every reference in a value (walking arrays and objects)
+ */
+function resolveReferences(value, context) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_REFERENCE);
+    if (whole) return evaluate(context, whole[1]);
+
+    return value.replace(REFERENCE, (_, expression) => toText(evaluate(context, expression)));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => resolveReferences(item, context));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveReferences(item, context)])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * List the paths referenced anywhere in a value
+ */
+function findReferences(value, found = []) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(REFERENCE)) {
+      found.push(parseReference(match[1]).path);
+    }
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => findReferences(item, found));
+  }
+
+  return found;
+}
+
+module.exports = {
+  parsePath,
+  lookup,
+  resolveReferences,
+  findReferences
+};
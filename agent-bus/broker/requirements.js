@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+// Fix hint for a failed check when the manifest does not give one
+const DEFAULT_HINTS = {
+  os: (names) => `Use this tool on ${names.join(' or ')}`,
+  binaries: (names) => `Install ${names.join(' or ')} and make sure it is on PATH`,
+  modules: (names) => `Run npm install ${names[0]}`,
+  browsers: (names) => `Run npx playwright install ${names[0]}`,
+  env: (names) => `Set ${names.join(' or ')} in the environment or in .env`
+};
+
+/**
+ * Whether an executable is on PATH (or at the given path)
+ */
+function hasBinary(name) {
+  const candidates = name.includes('/') || name.includes(path.sep)
+    ? [name]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, name));
+  const extensions = process.platform === 'win32'
+    ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')]
+    : [''];
+
+  return candidates.some(candidate => extensions.some(extension => {
+    try {
+      fs.accessSync(candidate + extension, fs.constants.X_OK);
+      return fs.statSync(candidate + extension).isFile();
+    } catch {
+      return false;
+    }
+  }));
+}
+
+function hasModule(name, adapterDir) {
+  try {
+    require.resolve(name, { paths: [adapterDir] });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Playwright knows where it keeps each browser's executable
+function hasBrowser(name, adapterDir) {
+  try {
+    const playwright = require(require.resolve('playwright', { paths: [adapterDir] }));
+    const executable = playwright[name]?.executablePath();
+    return Boolean(executable) && fs.existsSync(executable);
+  } catch {
+    return false;
+  }
+}
+
+const PROBES = {
+  binaries: {
+    test: (name) => hasBinary(name),
+    reason: (names) => names.length > 1 ? `None of ${names.join(', ')} found on PATH` : `${names[0]} not found on PATH`
+  },
+  modules: {
+    test: (name, adapterDir) => hasModule(name, adapterDir),
+    reason: (names) => `Node module ${names.join(' or ')} is not installed`
+  },
+  browsers: {
+    test: (name, adapterDir) => hasBrowser(name, adapterDir),
+    reason: (names) => `Playwright browser ${names.join(' or ')} is not installed`
+  },
+  env: {
+    test: (name) => Boolean(process.env[name]),
+    reason: (names) => names.length > 1 ? `None of ${names.join(', ')} is set` : `${names[0]} is not set`
+  }
+};
+
+/**
+ * Evaluate a manifest's `requirements` on this machine:
+ *
+ *   requirements:
+ *     os: [darwin]                 # process.platform values
+ *     binaries: [osascript]        # executables on PATH
+ *     modules: [playwright]        # resolvable from the adapter's directory
+ *     browsers: [chromium]         # installed Playwright browsers
+ *     env: [SERPAPI_KEY]           # set environment variables
+ *
+ * A list entry is a name or `{ name, os, hint }`, where `name` may list
+ * alternatives (any one will do) and `os` limits the check to those
+ * platforms. Returns `{ available, checks }`, one check
+ * `{ kind, name, ok, reason, hint }` per entry that applies here. When the
+ * OS does not match, that is the only check.
+ */
+function checkRequirements(manifest, { adapterDir, platform = process.platform } = {}) {
+  const requirements = manifest.requirements || {};
+  const checks = [];
+
+  if (requirements.os && !requirements.os.includes(platform)) {
+    checks.push({
+      kind: 'os',
+      name: requirements.os.join(', '),
+      ok: false,
+      reason: `Runs on ${requirements.os.join(', ')}, not ${platform}`,
+      hint: requirements.hint || DEFAULT_HINTS.os(requirements.os)
+    });
+    return { available: false, checks };
+  }
+
+  for (const [kind, probe] of Object.entries(PROBES)) {
+    for (const entry of requirements[kind] || []) {
+      const { name, os, hint } = typeof entry === 'string' ? { name: entry } : entry;
+      if (os && !os.includes(platform)) continue;
+
+      const names = [].concat(name);
+      const ok = names.some(candidate => probe.test(candidate, adapterDir));
+      checks.push({
+        kind,
+        name: names.join(' | '),
+        ok,
+        ...(!ok && {
+          reason: probe.reason(names),
+          hint: hint || requirements.hint || DEFAULT_HINTS[kind](names)
+        })
+      });
+    }
+  }
+
+  return { available: checks.every(check => check.ok), checks };
+}
+
+module.exports = {
+  checkRequirements
+};
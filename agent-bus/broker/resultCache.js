@@ -0,0 +1,115 @@
+const stableStringify = require('./stableStringify');
+const { logger } = require('./logger');
+const config = require('./config');
+
+/**
+ * The args that make up a verb's cache key: `key_args` when the manifest
+ * lists them, all args otherwise
+ */
+function keyArgs(args, keyArgNames) {
+  if (!keyArgNames) return args;
+  return Object.fromEntries(keyArgNames.filter(name => name in args).map(name => [name, args[name]]));
+}
+
+/**
+ * In-memory cache of results of side-effect-free verbs, for verbs whose
+ * manifest declares `cache: { ttl_seconds | ttl_ms, key_args }`. Entries are
+ * kept in least-recently-used order and the oldest are evicted once the
+ * cache holds more than CACHE_MAX_ENTRIES results or CACHE_MAX_BYTES of JSON.
+ */
+class ResultCache {
+  constructor({ maxEntries = config.CACHE_MAX_ENTRIES, maxBytes = config.CACHE_MAX_BYTES } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key -> { verbId, args, data, size, expiresAt }
+    this.bytes = 0;
+  }
+
+  key(verbId, args, cacheDef) {
+    return `${verbId}\n${stableStringify(keyArgs(args, cacheDef.key_args))}`;
+  }
+
+  /**
+   * The cached data for a call, or undefined
+   */
+  get(verbId, args, cacheDef) {
+    const key = this.key(verbId, args, cacheDef);
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return undefined;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return structuredClone(entry.data);
+  }
+
+  set(verbId, args, cacheDef, data) {
+    const key = this.key(verbId, args, cacheDef);
+    const size = Buffer.byteLength(JSON.stringify(data ?? null));
+    if (size > this.maxBytes) return;
+
+    this.delete(key);
+    this.entries.set(key, {
+      verbId,
+      args: keyArgs(args, cacheDef.key_args),
+      data: structuredClone(data),
+      size,
+      expiresAt: Date.now() + (cacheDef.ttl_ms ?? cacheDef.ttl_seconds * 1000)
+    });
+    this.bytes += size;
+
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.delete(oldest);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+  }
+
+  /**
+   * Drop the entries a call may have made stale. `rules` is the verb's
+   * `invalidates` list: a verb id drops all of that verb's entries, and
+   * `{ verb, match: { cachedArg: arg } }` only those whose `cachedArg`
+   * equals this call's `arg`.
+   */
+  invalidate(rules, args) {
+    let dropped = 0;
+
+    for (const rule of rules) {
+      const { verb, match } = typeof rule === 'string' ? { verb: rule } : rule;
+
+      for (const [key, entry] of this.entries) {
+        if (entry.verbId !== verb) continue;
+        if (match && !Object.entries(match).every(([cachedArg, arg]) =>
+          args[arg] !== undefined && stableStringify(entry.args[cachedArg]) === stableStringify(args[arg]))) {
+          continue;
+        }
+        this.delete(key);
+        dropped++;
+      }
+    }
+
+    if (dropped > 0) logger.debug(`Invalidated ${dropped} cached results`);
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = ResultCache;
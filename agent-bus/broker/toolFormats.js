@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+
+const MAX_NAME_LENGTH = 64;
+
+// Annotations no provider needs in a tool definition
+const DROPPED_KEYWORDS = ['$schema', '$id', '$comment', 'examples'];
+
+// The OpenAPI 3.0 subset Gemini accepts in function declarations
+const GEMINI_KEYWORDS = new Set([
+  'type', 'format', 'title', 'description', 'nullable', 'enum', 'default',
+  'properties', 'required', 'items', 'minItems', 'maxItems', 'minimum', 'maximum',
+  'minLength', 'maxLength', 'pattern', 'anyOf', 'propertyOrdering'
+]);
+const GEMINI_FORMATS = new Set(['enum', 'date-time', 'float', 'double', 'int32', 'int64']);
+
+/**
+ * Tool name for a verb id, using only the characters every provider accepts
+ * (letters, digits, `_` and `-`, at most 64). The dot becomes `__`, so
+ * `fs.read` is `fs__read` and the verb id is recovered by replacing the
+ * first `__` (manifests and workflows cannot use ids that contain `__` or
+ * end in `_`, which would break that). Ids that would not survive it anyway
+ * are cleaned up and suffixed with a hash; the `names` map returned with the
+ * definitions always holds the way back.
+ */
+function toolName(verbId) {
+  const name = verbId.replace('.', '__');
+  if (/^[A-Za-z0-9_-]+$/.test(name) && name.length <= MAX_NAME_LENGTH && !verbId.includes('__')) {
+    return name;
+  }
+
+  const hash = crypto.createHash('sha256').update(verbId).digest('hex').slice(0, 8);
+  const cleaned = name.replace(/[^A-Za-z0-9_-]/g, '_').slice(0, MAX_NAME_LENGTH - hash.length - 1);
+  return `${cleaned}_${hash}`;
+}
+
+/**
+ * Copy of a schema with `convert(schema)` applied to every subschema
+ */
+function mapSchema(schema, convert) {
+  if (Array.isArray(schema)) return schema.map(item => mapSchema(item, convert));
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const result = {};
+  for (const [key, value] of Object.entries(convert(schema))) {
+    if (key === 'properties' && value && typeof value === 'object') {
+      result[key] = Object.fromEntries(Object.entries(value).map(([name, sub]) => [name, mapSchema(sub, convert)]));
+    } else if (['items', 'anyOf', 'oneOf', 'allOf', 'not', 'additionalProperties'].includes(key)) {
+      result[key] = mapSchema(value, convert);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function withoutAnnotations(schema) {
+  const result = { ...schema };
+  for (const key of DROPPED_KEYWORDS) delete result[key];
+  return result;
+}
+
+// OpenAI documents `anyOf` but not `oneOf`; for a tool's arguments the two
+// read the same
+function toOpenAiSchema(schema) {
+  return mapSchema(schema, (node) => {
+    const { oneOf, ...rest } = withoutAnnotations(node);
+    return oneOf ? { ...rest, anyOf: oneOf } : rest;
+  });
+}
+
+function toGeminiSchema(schema) {
+  return mapSchema(schema, (node) => {
+    const result = {};
+    const anyOf = node.anyOf || node.oneOf;
+
+    if (Array.isArray(node.type)) {
+      const types = node.type.filter(type => type !== 'null');
+      if (types.length < node.type.length) result.nullable = true;
+      if (types.length === 1) result.type = types[0];
+      else result.anyOf = types.map(type => ({ type }));
+    } else if (node.type) {
+      result.type = node.type;
+    }
+    if (anyOf) result.anyOf = anyOf;
+    if (node.const !== undefined) result.enum = [node.const];
+
+    for (const [key, value] of Object.entries(node)) {
+      if (!GEMINI_KEYWORDS.has(key) || key in result || key === 'type' || key === 'anyOf') continue;
+      if (key === 'format' && !GEMINI_FORMATS.has(value)) continue;
+      result[key] = value;
+    }
+
+    // Gemini enums are strings only
+    if (result.enum && !result.enum.every(value => typeof value === 'string')) {
+      if (result.enum.every(value => ['number', 'boolean'].includes(typeof value)) && result.type === 'string') {
+        result.enum = result.enum.map(String);
+      } else {
+        delete result.enum;
+      }
+    }
+    return result;
+  });
+}
+
+/**
+ * A verb's description for a tool definition, noting when it needs approval
+ */
+function describe(verb) {
+  return [verb.description, verb.confirm && 'Requires approval before it runs.']
+    .filter(Boolean).join(' ');
+}
+
+const FORMATS = {
+  // Chat Completions `tools`
+  openai: (verb, name) => ({
+    type: 'function',
+    function: {
+      name,
+      description: describe(verb),
+      parameters: toOpenAiSchema(verb.args_schema)
+    }
+  }),
+
+  // Messages API `tools`
+  anthropic: (verb, name) => ({
+    name,
+    description: describe(verb),
+    input_schema: mapSchema(verb.args_schema, withoutAnnotations)
+  }),
+
+  // One entry of `functionDeclarations`; objects without properties are
+  // rejected, so verbs without args declare no parameters
+  gemini: (verb, name) => {
+    const parameters = toGeminiSchema(verb.args_schema);
+    return {
+      name,
+      description: describe(verb),
+      ...(parameters.properties && Object.keys(parameters.properties).length > 0 && { parameters })
+    };
+  },
+
+  // Provider-neutral: the full schemas
+  jsonschema: (verb, name) => ({
+    name,
+    verb_id: verb.id,
+    description: describe(verb),
+    parameters: verb.args_schema,
+    returns: verb.returns_schema,
+    confirm: !!verb.confirm
+  })
+};
+
+/**
+ * Tool definitions for a list of verbs (`{ id, description, args_schema,
+ * returns_schema, confirm }`, as listed by /capabilities) in one of FORMATS.
+ * Returns `{ format, tools, names }`, where `names` maps each tool name back
+ * to its verb id. Gemini definitions come wrapped in a single
+ * `{ functionDeclarations }` entry, ready to pass as `tools`.
+ */
+function toolDefinitions(verbs, format) {
+  const names = {};
+  const definitions = verbs.map(verb => {
+    const name = toolName(verb.id);
+    names[name] = verb.id;
+    return FORMATS[format](verb, name);
+  });
+
+  return {
+    format,
+    tools: format === 'gemini' ? [{ functionDeclarations: definitions }] : definitions,
+    names
+  };
+}
+
+module.exports = {
+  FORMATS,
+  toolName,
+  describe,
+  toolDefinitions
+};
@@ -3,14 +3,17 @@ const { logger } = require('./logger');
 const config = require('./config');
 
 /**
- * Simple keyword-based tool router that matches goals to relevant tools
+ * Simple keyword-based tool router that matches goals to relevant tools.
+ * Tools marked unavailable in `availability` (tool -> `{ available }`) are
+ * never suggested.
  */
 class ToolRouter {
-  constructor(manifests) {
+  constructor(manifests, toolpackCache = new Map(), availability = {}) {
     this.manifests = manifests;
+    this.availability = availability;
     this.verbKeywords = this._buildVerbKeywords();
     this.toolCoOccurrence = this._buildCoOccurrenceRules();
-    this.toolpackCache = new Map();
+    this.toolpackCache = toolpackCache; // shared with the previous router on reload
   }
 
   /**
@@ -20,6 +23,8 @@ class ToolRouter {
     const verbKeywords = [];
     
     for (const [toolId, manifest] of Object.entries(this.manifests)) {
+      if (this.availability[toolId]?.available === false) continue;
+      
       for (const verb of manifest.verbs) {
         const keywords = [];
         
@@ -67,14 +72,16 @@ class ToolRouter {
   }
 
   /**
-   * Find relevant tools for a given goal
+   * Find relevant tools for a given goal. `filter(toolId, verbId, trustTier)`
+   * can rule out verbs the caller may not use.
    */
-  findToolsForGoal(goal, maxTools = 8) {
+  findToolsForGoal(goal, maxTools = 8, { filter = () => true } = {}) {
     const goalWords = goal.toLowerCase().split(/\s+/);
     const matchedVerbs = [];
+    const candidates = this.verbKeywords.filter(v => filter(v.toolId, v.verbId, v.trustTier));
     
     // Score each verb based on keyword matches
-    for (const verbInfo of this.verbKeywords) {
+    for (const verbInfo of candidates) {
       let score = 0;
       
       for (const keyword of verbInfo.keywords) {
@@ -122,7 +129,7 @@ class ToolRouter {
       
       for (const relatedVerbId of related) {
         if (!selectedVerbs.has(relatedVerbId)) {
-          const relatedVerb = this.verbKeywords.find(v => v.verbId === relatedVerbId);
+          const relatedVerb = candidates.find(v => v.verbId === relatedVerbId);
           if (relatedVerb) {
             coOccurring.push({
               ...relatedVerb,
@@ -141,11 +148,14 @@ class ToolRouter {
   }
 
   /**
-   * Create a toolpack for a given goal
+   * Create a toolpack for a given goal. A `persistent` toolpack does not
+   * expire and stays until removeToolpack() (used for sessions that last
+   * longer than TOOLPACK_TTL).
    */
-  createToolpack(goal, maxTools = 8) {
+  createToolpack(goal, maxTools = 8, options = {}) {
     const toolpackId = uuidv4();
-    const relevantTools = this.findToolsForGoal(goal, maxTools);
+    const ttlMs = options.persistent ? null : config.TOOLPACK_TTL;
+    const relevantTools = this.findToolsForGoal(goal, maxTools, options);
     
     // Format the response
     const toolpack = {
@@ -159,21 +169,24 @@ class ToolRouter {
         returns_schema: tool.verb.returns,
         trust_tier: tool.trustTier,
         confirm: !!tool.verb.confirm,
+        dry_run: !!tool.verb.dry_run,
         examples: tool.verb.examples || []
       })),
-      ttl_seconds: Math.floor(config.TOOLPACK_TTL / 1000)
+      ttl_seconds: ttlMs === null ? null : Math.floor(ttlMs / 1000)
     };
     
     // Cache the toolpack
     this.toolpackCache.set(toolpackId, {
       ...toolpack,
-      expires: Date.now() + config.TOOLPACK_TTL
+      expires: ttlMs === null ? null : Date.now() + ttlMs
     });
     
-    // Schedule cleanup
-    setTimeout(() => {
-      this.toolpackCache.delete(toolpackId);
-    }, config.TOOLPACK_TTL);
+    // Schedule cleanup (unless keepToolpack() has made it persistent since)
+    if (ttlMs !== null) {
+      setTimeout(() => {
+        if (this.toolpackCache.get(toolpackId)?.expires !== null) this.toolpackCache.delete(toolpackId);
+      }, ttlMs).unref();
+    }
     
     logger.info(`Created toolpack ${toolpackId} for goal: ${goal}`, {
       toolpackId,
@@ -184,6 +197,22 @@ class ToolRouter {
     return toolpack;
   }
 
+  /**
+   * Stop an existing toolpack from expiring, so it stays until
+   * removeToolpack(). Returns false when it does not exist (any more).
+   */
+  keepToolpack(toolpackId) {
+    const toolpack = this.toolpackCache.get(toolpackId);
+    if (!toolpack) return false;
+    toolpack.expires = null;
+    toolpack.ttl_seconds = null;
+    return true;
+  }
+
+  removeToolpack(toolpackId) {
+    this.toolpackCache.delete(toolpackId);
+  }
+
   /**
    * Validate if a tool/verb is allowed in a toolpack
    */
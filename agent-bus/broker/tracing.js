@@ -0,0 +1,185 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const config = require('./config');
+
+const TRACEPARENT = /^00-([a-f0-9]{32})-([a-f0-9]{16})-([a-f0-9]{2})$/;
+
+/**
+ * Parse a W3C `traceparent` header. Returns null when it is missing or
+ * malformed, in which case a new trace is started.
+ */
+function parseTraceparent(header) {
+  const match = TRACEPARENT.exec(String(header || '').trim().toLowerCase());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+
+  return {
+    traceId: match[1],
+    spanId: match[2],
+    sampled: (parseInt(match[3], 16) & 1) === 1
+  };
+}
+
+class Span {
+  constructor(tracer, name, { traceId, parentSpanId = null, sampled = true, attributes = {} }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parentSpanId;
+    this.sampled = sampled;
+    this.attributes = { ...attributes };
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.status = 'ok';
+  }
+
+  /**
+   * The context to hand to whatever runs inside this span
+   */
+  get traceparent() {
+    return `00-${this.traceId}-${this.spanId}-${this.sampled ? '01' : '00'}`;
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  /**
+   * Finish the span, marking it failed when given an error. Later calls are
+   * ignored.
+   */
+  end(error = null) {
+    if (this.endTime !== null) return;
+
+    this.endTime = Date.now();
+    if (error) {
+      this.status = 'error';
+      this.attributes.error = error.message;
+      if (error.code !== undefined) this.attributes['error.code'] = error.code;
+    }
+    if (this.sampled) this.tracer.exporter.export([this.toJSON()]);
+  }
+
+  toJSON() {
+    return {
+      trace_id: this.traceId,
+      span_id: this.spanId,
+      parent_span_id: this.parentSpanId,
+      name: this.name,
+      start_time: new Date(this.startTime).toISOString(),
+      end_time: new Date(this.endTime).toISOString(),
+      duration_ms: this.endTime - this.startTime,
+      status: this.status,
+      attributes: this.attributes
+    };
+  }
+}
+
+/**
+ * Discards spans (TRACE_EXPORTER=none)
+ */
+class NoopExporter {
+  export() {}
+  async shutdown() {}
+}
+
+/**
+ * Appends finished spans to a file, one JSON object per line. Spans are
+ * buffered and written at most once a second.
+ */
+class JsonFileExporter {
+  constructor(file = config.TRACE_FILE) {
+    this.file = file;
+    this.buffer = [];
+    this.timer = null;
+    this.writing = Promise.resolve();
+  }
+
+  export(spans) {
+    this.buffer.push(...spans);
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), 1000);
+      this.timer.unref();
+    }
+  }
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.buffer.length === 0) return this.writing;
+
+    const lines = this.buffer.map(span => JSON.stringify(span)).join('\n') + '\n';
+    this.buffer = [];
+    this.writing = this.writing
+      .then(() => fs.mkdir(path.dirname(this.file), { recursive: true }))
+      .then(() => fs.appendFile(this.file, lines, 'utf8'))
+      .catch(error => logger.error('Failed to write spans', { error: error.message }));
+    return this.writing;
+  }
+
+  async shutdown() {
+    await this.flush();
+  }
+}
+
+/**
+ * Build the exporter named by TRACE_EXPORTER: `none`, `json`, or the path
+ * of a module exporting an exporter class (with `export(spans)` and
+ * `shutdown()`)
+ */
+function createExporter(name = config.TRACE_EXPORTER) {
+  if (name === 'none') return new NoopExporter();
+  if (name === 'json') return new JsonFileExporter();
+
+  const Exporter = require(path.resolve(name));
+  return new Exporter(config);
+}
+
+/**
+ * Creates spans. A span's parent is a Span or a `traceparent` string;
+ * without a valid parent the span starts a new trace.
+ */
+class Tracer {
+  constructor(exporter = createExporter()) {
+    this.exporter = exporter;
+  }
+
+  startSpan(name, { parent, attributes } = {}) {
+    const context = parent instanceof Span ? parent : parseTraceparent(parent);
+
+    return new Span(this, name, {
+      traceId: context ? context.traceId : crypto.randomBytes(16).toString('hex'),
+      parentSpanId: context ? context.spanId : null,
+      sampled: context ? context.sampled : true,
+      attributes
+    });
+  }
+
+  /**
+   * Run `fn` inside a span, ending it with the outcome
+   */
+  trace(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      const result = fn(span);
+      span.end();
+      return result;
+    } catch (error) {
+      span.end(error);
+      throw error;
+    }
+  }
+
+  async shutdown() {
+    await this.exporter.shutdown();
+  }
+}
+
+module.exports = {
+  Tracer,
+  JsonFileExporter,
+  parseTraceparent
+};
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// Check the audit log's hash chain: `npm run audit:verify [-- <dir>]`
+const AuditLog = require('./auditLog');
+const config = require('./config');
+
+(async () => {
+  const auditLog = new AuditLog(process.argv[2] || config.AUDIT_DIR);
+  const result = await auditLog.verify();
+
+  if (!result.ok) {
+    const { file, line, reason } = result.error;
+    console.error(`Audit log is NOT intact: ${file}${line ? `:${line}` : ''}: ${reason}`);
+    console.error(`${result.records} records verified before the break`);
+    process.exit(1);
+  }
+
+  console.log(`Audit log intact: ${result.records} records in ${result.files} files`);
+  if (result.anchor && result.anchor.seq !== 1) {
+    console.log(`Chain starts at record ${result.anchor.seq} (older records were rotated out)`);
+  }
+  console.log(`Last hash: ${result.last_hash || 'none'}`);
+  if (result.head === 'missing') {
+    console.log(`No head file at ${auditLog.headFile}, so records cut off the end would go unnoticed`);
+  }
+})().catch(error => {
+  console.error(`Failed to verify the audit log: ${error.message}`);
+  process.exit(2);
+});
@@ -0,0 +1,332 @@
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+const config = require('./config');
+
+/**
+ * Pool of long-lived adapter processes speaking newline-delimited JSON.
+ *
+ * A worker is started as `node <adapter> --worker` and reads one request per
+ * line on stdin:
+ *   { "id": "...", "verb": "fs.read", "args": { ... }, "env": { ... } }
+ * and answers with one line per request on stdout, echoing the id:
+ *   { "id": "...", "ok": true, "data": { ... } }
+ *   { "id": "...", "ok": false, "code": 50, "msg": "...", "details": { ... } }
+ * Before the answer a worker may send progress and partial-result events:
+ *   { "id": "...", "event": "progress", "data": { ... } }
+ * Health checks send { "id": "...", "type": "ping" } and expect
+ * { "id": "...", "type": "pong" } back.
+ */
+class WorkerPool {
+  constructor() {
+    this.pools = new Map(); // tool id -> { options, workers: [] }
+    this.healthTimer = setInterval(() => this.checkHealth(), config.WORKER_HEALTH_INTERVAL_MS);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Run a verb on a pooled worker for the given tool. Aborting the signal
+   * rejects with its reason. When no other request is running on the
+   * worker it is replaced, since the only way to stop a request inside it
+   * is to stop the process; otherwise the request's answer is dropped when
+   * it arrives. Dry runs are flagged in the request as `dry_run: true`.
+   */
+  execute(tool, adapterPath, workerOptions, verb, args, envExtra = {}, { signal, onEvent, dryRun = false } = {}) {
+    // Timed out or cancelled on the way here: no worker is started or used
+    if (signal?.aborted) return Promise.reject(signal.reason);
+
+    const worker = this._acquire(tool, adapterPath, workerOptions);
+    return this._send(worker, { verb, args, env: envExtra, ...(dryRun && { dry_run: true }) }, { signal, onEvent });
+  }
+
+  /**
+   * Pick the least busy worker for a tool, starting a new one while the pool
+   * is below its size
+   */
+  _acquire(tool, adapterPath, workerOptions = {}) {
+    let pool = this.pools.get(tool);
+    if (!pool) {
+      pool = { tool, adapterPath, workers: [], restarts: 0 };
+      this.pools.set(tool, pool);
+    }
+    pool.adapterPath = adapterPath;
+    pool.options = {
+      poolSize: workerOptions.pool_size || 1,
+      idleTimeoutMs: workerOptions.idle_timeout_ms || config.WORKER_IDLE_TIMEOUT_MS
+    };
+
+    const live = pool.workers.filter(w => !w.exiting);
+    const idle = live.find(w => w.pending.size === 0);
+    if (idle) return idle;
+
+    if (live.length < pool.options.poolSize) {
+      return this._spawn(pool);
+    }
+
+    return live.reduce((a, b) => (b.pending.size < a.pending.size ? b : a));
+  }
+
+  _spawn(pool) {
+    const child = spawn('node', [pool.adapterPath, '--worker'], {
+      env: { ...process.env, PATH: process.env.PATH, AGENT_BUS_WORKER: '1' },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    const worker = {
+      id: uuidv4(),
+      tool: pool.tool,
+      child,
+      pending: new Map(),
+      exiting: false,
+      idleTimer: null,
+      lastUsedAt: Date.now() // last request sent or answered, pings aside
+    };
+
+    readline.createInterface({ input: child.stdout }).on('line', (line) => {
+      this._handleLine(pool, worker, line);
+    });
+
+    child.stderr.on('data', (data) => {
+      logger.debug(`[worker ${pool.tool}] ${data.toString().trim()}`);
+    });
+
+    child.on('error', (error) => {
+      logger.error(`Failed to start worker for ${pool.tool}`, { error: error.message });
+      metrics.adapterSpawnFailures.inc({ tool: pool.tool });
+      this._handleExit(pool, worker, null, null);
+    });
+
+    child.stdin.on('error', (error) => {
+      logger.debug(`[worker ${pool.tool}] stdin closed: ${error.message}`);
+    });
+
+    child.on('exit', (code, signal) => {
+      this._handleExit(pool, worker, code, signal);
+    });
+
+    pool.workers.push(worker);
+    logger.info(`Started worker for ${pool.tool}`, { pid: child.pid, poolSize: pool.workers.length });
+    return worker;
+  }
+
+  _send(worker, message, { timeoutMs = null, signal, onEvent } = {}) {
+    return new Promise((resolve, reject) => {
+      const id = uuidv4();
+      const ping = message.type === 'ping';
+      const entry = { resolve, reject, onEvent, timer: null, ping, cancelled: false };
+
+      if (timeoutMs) {
+        entry.timer = setTimeout(() => {
+          worker.pending.delete(id);
+          const error = new Error('WORKER_UNRESPONSIVE');
+          error.code = 50;
+          reject(error);
+        }, timeoutMs);
+      }
+
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          if (!worker.pending.has(id) || entry.cancelled) return;
+          entry.cancelled = true;
+          reject(signal.reason);
+
+          // Other requests on this worker keep running; this one stays
+          // pending (so the worker still counts as busy) until it answers
+          const others = [...worker.pending.values()].some(other => !other.ping && !other.cancelled);
+          if (!others) {
+            worker.pending.delete(id);
+            this._stopWorker(worker, { restart: true });
+          }
+        }, { once: true });
+      }
+
+      if (!ping) {
+        clearTimeout(worker.idleTimer);
+        worker.lastUsedAt = Date.now();
+      }
+      worker.pending.set(id, entry);
+      worker.child.stdin.write(JSON.stringify({ id, ...message }) + '\n');
+    });
+  }
+
+  _handleLine(pool, worker, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      logger.debug(`[worker ${pool.tool}] ignoring non-JSON output: ${line}`);
+      return;
+    }
+
+    const entry = worker.pending.get(message.id);
+    if (!entry) return;
+
+    // Progress and partial results arrive before the final answer
+    if (message.event) {
+      if (!entry.cancelled) entry.onEvent?.({ event: message.event, data: message.data });
+      return;
+    }
+
+    worker.pending.delete(message.id);
+    clearTimeout(entry.timer);
+    if (!entry.ping) worker.lastUsedAt = Date.now();
+
+    if (entry.cancelled) {
+      // Already rejected when it was cancelled
+    } else if (message.type === 'pong') {
+      entry.resolve(message);
+    } else if (message.ok) {
+      entry.resolve({ ok: true, data: message.data });
+    } else {
+      const error = new Error(message.msg || 'ADAPTER_ERROR');
+      error.code = message.code || 50;
+      error.details = message.details;
+      entry.reject(error);
+    }
+
+    if (worker.pending.size === 0) {
+      if (worker.retiring) {
+        this._stopWorker(worker);
+      } else {
+        this._scheduleIdleShutdown(pool, worker);
+      }
+    }
+  }
+
+  _handleExit(pool, worker, code, signal) {
+    if (worker.exited) return;
+    worker.exited = true;
+    worker.exiting = true;
+    clearTimeout(worker.idleTimer);
+    pool.workers = pool.workers.filter(w => w !== worker);
+
+    // Anything still in flight is lost with the process
+    for (const entry of worker.pending.values()) {
+      clearTimeout(entry.timer);
+      const error = new Error('ADAPTER_ERROR');
+      error.code = 50;
+      error.details = `Worker exited with ${signal || `code ${code}`}`;
+      entry.reject(error);
+    }
+    worker.pending.clear();
+
+    if (!worker.stopping) {
+      pool.restarts++;
+      logger.warn(`Worker for ${pool.tool} exited unexpectedly, it will be restarted on demand`, {
+        code,
+        signal,
+        restarts: pool.restarts
+      });
+    }
+  }
+
+  /**
+   * Stop the worker once idleTimeoutMs have passed since its last request.
+   * Health pings do not count as use.
+   */
+  _scheduleIdleShutdown(pool, worker) {
+    clearTimeout(worker.idleTimer);
+    const delay = Math.max(0, worker.lastUsedAt + pool.options.idleTimeoutMs - Date.now());
+    worker.idleTimer = setTimeout(() => {
+      if (worker.pending.size === 0 && !worker.exiting) {
+        logger.info(`Stopping idle worker for ${pool.tool}`, { pid: worker.child.pid });
+        this._stopWorker(worker);
+      }
+    }, delay);
+    worker.idleTimer.unref();
+  }
+
+  /**
+   * Stop a worker on purpose. With `restart` the next call starts a
+   * replacement (it is logged as such, not as an unexpected exit).
+   */
+  _stopWorker(worker, { restart = false } = {}) {
+    if (restart && !worker.exiting) {
+      logger.info(`Restarting worker for ${worker.tool}`, { pid: worker.child.pid });
+    }
+    worker.stopping = true;
+    worker.exiting = true;
+    worker.child.stdin.end();
+    worker.child.kill('SIGTERM');
+
+    const killTimer = setTimeout(() => {
+      if (worker.child.exitCode === null && worker.child.signalCode === null) {
+        worker.child.kill('SIGKILL');
+      }
+    }, config.ADAPTER_KILL_GRACE_MS);
+    killTimer.unref();
+  }
+
+  /**
+   * Ping idle workers and replace the ones that do not answer in time
+   */
+  async checkHealth() {
+    for (const pool of this.pools.values()) {
+      for (const worker of pool.workers) {
+        if (worker.exiting || worker.pending.size > 0) continue;
+
+        try {
+          await this._send(worker, { type: 'ping' }, { timeoutMs: config.WORKER_PING_TIMEOUT_MS });
+        } catch (error) {
+          logger.warn(`Worker for ${pool.tool} failed health check, restarting`, {
+            pid: worker.child.pid
+          });
+          this._stopWorker(worker, { restart: true });
+        }
+      }
+    }
+  }
+
+  /**
+   * Replace a tool's workers after its manifest or adapter changed: idle
+   * workers stop now, busy ones once their requests finish. The next call
+   * starts a fresh worker.
+   */
+  retire(tool) {
+    const pool = this.pools.get(tool);
+    if (!pool) return;
+
+    for (const worker of pool.workers) {
+      if (worker.exiting) continue;
+
+      if (worker.pending.size === 0) {
+        this._stopWorker(worker);
+      } else {
+        worker.exiting = true;
+        worker.retiring = true;
+      }
+    }
+  }
+
+  /**
+   * Number of live worker processes across all pools
+   */
+  size() {
+    let count = 0;
+    for (const pool of this.pools.values()) {
+      count += pool.workers.length;
+    }
+    return count;
+  }
+
+  /**
+   * Stop every worker (used when the broker shuts down)
+   */
+  async shutdown() {
+    clearInterval(this.healthTimer);
+
+    const exits = [];
+    for (const pool of this.pools.values()) {
+      for (const worker of pool.workers) {
+        exits.push(new Promise(resolve => worker.child.once('exit', resolve)));
+        this._stopWorker(worker);
+      }
+    }
+
+    await Promise.all(exits);
+  }
+}
+
+module.exports = WorkerPool;
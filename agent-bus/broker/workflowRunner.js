@@ -0,0 +1,296 @@
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { compileSchema } = require('./manifestLoader');
+const { resolveReferences } = require('./references');
+const { BrokerError } = require('./errors');
+const { logger } = require('./logger');
+
+// Workflows are exposed as verbs of this synthetic tool, e.g. `workflows.directory_report`
+const WORKFLOW_TOOL_ID = 'workflows';
+
+const stepSchema = {
+  type: 'object',
+  required: ['id', 'tool', 'verb'],
+  properties: {
+    id: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_-]*$' },
+    tool: { type: 'string' },
+    verb: { type: 'string' },
+    args: { type: 'object' },
+    if: {},
+    for_each: {},
+    as: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+    timeout_ms: { type: 'integer', minimum: 1 },
+    on_error: { type: 'string', enum: ['fail', 'continue'] }
+  },
+  additionalProperties: false
+};
+
+// Schema for validating workflow files
+const workflowSchema = {
+  type: 'object',
+  required: ['id', 'steps'],
+  properties: {
+    id: { type: 'string', pattern: '^[a-z](?:_?[a-zA-Z0-9])*$' }, // no `__`, see manifest tool ids
+    description: { type: 'string' },
+    inputs: { type: 'object' },
+    returns: { type: 'object' },
+    confirm: { type: 'boolean' },
+    timeout_ms: { type: 'integer', minimum: 1 },
+    steps: { type: 'array', minItems: 1, items: stepSchema },
+    on_error: { type: 'array', items: stepSchema },
+    output: {}
+  },
+  additionalProperties: false
+};
+
+const validateWorkflow = compileSchema(workflowSchema);
+
+/**
+ * Load and validate the workflow files in a directory. Steps must name
+ * tools and verbs that exist in the loaded manifests.
+ */
+async function loadWorkflows(workflowsDir, manifests) {
+  const workflows = {};
+  const errors = [];
+
+  let files;
+  try {
+    files = await fs.readdir(workflowsDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return { workflows, errors };
+    throw error;
+  }
+
+  for (const file of files.filter(f => /\.ya?ml$/.test(f)).sort()) {
+    try {
+      const workflow = YAML.parse(await fs.readFile(path.join(workflowsDir, file), 'utf8'));
+
+      if (!validateWorkflow(workflow)) {
+        errors.push({ workflow: file, error: 'Invalid workflow schema', details: validateWorkflow.errors });
+        continue;
+      }
+
+      if (workflows[workflow.id]) {
+        errors.push({ workflow: file, error: `Duplicate workflow id '${workflow.id}'` });
+        continue;
+      }
+
+      const unknown = [...workflow.steps, ...(workflow.on_error || [])]
+        .filter(step => !findVerb(manifests, step.tool, step.verb))
+        .map(step => `${step.tool}.${step.verb}`);
+      if (unknown.length > 0) {
+        errors.push({ workflow: file, error: 'Unknown tool/verb in steps', details: unknown });
+        continue;
+      }
+
+      workflows[workflow.id] = workflow;
+      logger.info(`Loaded workflow: ${workflow.id}`);
+
+    } catch (error) {
+      errors.push({ workflow: file, error: 'Failed to load workflow', details: error.message });
+    }
+  }
+
+  if (errors.length > 0) {
+    logger.warn(`Encountered ${errors.length} errors loading workflows`, { errors });
+  }
+
+  return { workflows, errors };
+}
+
+function findVerb(manifests, tool, verb) {
+  const verbId = verb.startsWith(`${tool}.`) ? verb : `${tool}.${verb}`;
+  return manifests[tool]?.verbs.find(v => v.id === verbId);
+}
+
+/**
+ * Build the synthetic manifest that lists every workflow as a verb. A
+ * workflow needs confirmation when any of its steps does, and the tool gets
+ * the least trusted tier of the tools it drives.
+ */
+function buildWorkflowManifest(workflows, manifests) {
+  const tiers = new Set();
+
+  const verbs = Object.values(workflows).map(workflow => {
+    const steps = [...workflow.steps, ...(workflow.on_error || [])];
+    steps.forEach(step => tiers.add(manifests[step.tool].trust_tier));
+
+    return {
+      id: `${WORKFLOW_TOOL_ID}.${workflow.id}`,
+      description: workflow.description || `Workflow ${workflow.id}`,
+      args: workflow.inputs || { type: 'object' },
+      returns: workflow.returns || { type: 'object' },
+      confirm: workflow.confirm ?? steps.some(step => findVerb(manifests, step.tool, step.verb).confirm),
+      ...(workflow.timeout_ms && { timeout_ms: workflow.timeout_ms }),
+      examples: []
+    };
+  });
+
+  return {
+    tool_id: WORKFLOW_TOOL_ID,
+    version: '1.0.0',
+    trust_tier: [...tiers].sort().pop() || 'A',
+    description: 'Multi-step workflows defined in the workflows/ directory',
+    verbs
+  };
+}
+
+/**
+ * Evaluate an `if` condition against the workflow context. Strings and
+ * references are tested for truthiness; objects may combine conditions with
+ * `equals`, `not`, `all` and `any`.
+ */
+function evaluateCondition(condition, context) {
+  if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+    if ('equals' in condition) {
+      const [left, right] = resolveReferences(condition.equals, context);
+      return JSON.stringify(left) === JSON.stringify(right);
+    }
+    if ('not' in condition) return !evaluateCondition(condition.not, context);
+    if ('all' in condition) return condition.all.every(c => evaluateCondition(c, context));
+    if ('any' in condition) return condition.any.some(c => evaluateCondition(c, context));
+  }
+
+  const value = resolveReferences(condition, context);
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Executes workflows step by step through the broker's normal invocation
+ * path, so every step is validated, confirmed and logged like an /invoke call
+ */
+class WorkflowRunner {
+  constructor(broker) {
+    this.broker = broker;
+    this.workflows = {};
+  }
+
+  async execute(verbId, inputs, { requestId, headers = {}, caller = null, callerId, approval = null, priority, signal } = {}) {
+    const workflow = this.workflows[verbId.slice(WORKFLOW_TOOL_ID.length + 1)];
+    if (!workflow) {
+      throw new BrokerError(404, 10, 'UNKNOWN_VERB', `Unknown workflow: ${verbId}`);
+    }
+
+    const context = { inputs, steps: {} };
+    const trace = [];
+    // An approved workflow approves its steps
+    const run = { requestId, headers, caller, callerId, approval, priority, signal, trace, current: null };
+
+    const cancelCurrent = () => {
+      if (run.current) this.broker.cancelInvocation(run.current);
+    };
+    signal?.addEventListener('abort', cancelCurrent, { once: true });
+
+    try {
+      await this._runSteps(workflow.steps, context, run);
+
+      const data = workflow.output !== undefined
+        ? resolveReferences(workflow.output, context)
+        : Object.fromEntries(Object.entries(context.steps).map(([id, output]) => [id, output.data]));
+
+      return { ok: true, data, trace };
+
+    } catch (error) {
+      // A cancelled or timed out workflow stops without running its handlers
+      const failure = signal?.aborted ? signal.reason : error;
+
+      if (workflow.on_error && !signal?.aborted) {
+        context.error = { step: error.step, code: error.code, msg: error.message };
+        try {
+          await this._runSteps(workflow.on_error, context, run);
+        } catch (handlerError) {
+          logger.warn(`Error handler of workflow ${workflow.id} failed`, { error: handlerError.message });
+        }
+      }
+
+      failure.trace = trace;
+      throw failure;
+
+    } finally {
+      signal?.removeEventListener('abort', cancelCurrent);
+    }
+  }
+
+  async _runSteps(steps, context, run) {
+    for (const step of steps) {
+      if (run.signal?.aborted) throw run.signal.reason;
+
+      if (step.if !== undefined && !evaluateCondition(step.if, context)) {
+        run.trace.push({ step: step.id, tool: step.tool, verb: step.verb, status: 'skipped' });
+        continue;
+      }
+
+      if (step.for_each === undefined) {
+        context.steps[step.id] = await this._runStep(step, context, run, `${run.requestId}:${step.id}`);
+        continue;
+      }
+
+      // Loop: run the step once per item, exposing it as `${item}` (or the `as` name)
+      const items = resolveReferences(step.for_each, context);
+      if (!Array.isArray(items)) {
+        throw this._stepError(step, new BrokerError(400, 10, 'INVALID_ARGS', `for_each of step ${step.id} is not an array`));
+      }
+
+      const results = [];
+      for (const [index, item] of items.entries()) {
+        const itemContext = { ...context, [step.as || 'item']: item, index };
+        results.push(await this._runStep(step, itemContext, run, `${run.requestId}:${step.id}:${index}`));
+      }
+
+      context.steps[step.id] = {
+        ok: results.every(result => result.ok),
+        data: results.map(result => result.data ?? null),
+        results
+      };
+    }
+  }
+
+  async _runStep(step, context, run, stepRequestId) {
+    const startTime = Date.now();
+    const entry = { step: step.id, tool: step.tool, verb: step.verb };
+    if (context.index !== undefined) entry.index = context.index;
+
+    try {
+      const invocation = this.broker.prepareInvocation({
+        tool: step.tool,
+        verb: step.verb,
+        args: resolveReferences(step.args || {}, context),
+        caller_id: run.callerId,
+        timeout_ms: step.timeout_ms,
+        priority: run.priority
+      }, run.headers, run.caller, { approval: run.approval });
+
+      run.current = stepRequestId;
+      const result = await this.broker.performInvocation(stepRequestId, invocation);
+      run.trace.push({ ...entry, status: 'ok', duration_ms: Date.now() - startTime });
+      return result;
+
+    } catch (error) {
+      const code = error.reference ? 10 : error.code || 50;
+      const msg = error.reference ? 'INVALID_REFERENCE' : error.message || 'ADAPTER_ERROR';
+      run.trace.push({ ...entry, status: 'failed', code, msg, duration_ms: Date.now() - startTime });
+
+      if (step.on_error === 'continue' && !run.signal?.aborted) {
+        return { ok: false, code, msg, ...(error.details !== undefined && { details: error.details }) };
+      }
+      throw this._stepError(step, error);
+
+    } finally {
+      run.current = null;
+    }
+  }
+
+  _stepError(step, error) {
+    error.step = step.id;
+    return error;
+  }
+}
+
+module.exports = {
+  WORKFLOW_TOOL_ID,
+  WorkflowRunner,
+  loadWorkflows,
+  buildWorkflowManifest,
+  evaluateCondition
+};
@@ -0,0 +1,291 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The broker reads its settings when it is required, so they are set first:
+// state goes to a temp dir and the fixture plugin adds the `testkit` tool
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-bus-app-'));
+Object.assign(process.env, {
+  PLUGIN_DIRS: path.join(__dirname, 'fixtures', 'plugin'),
+  PLUGIN_NPM: 'false',
+  WATCH_MANIFESTS: 'false',
+  KEYS_FILE: path.join(stateDir, 'keys.json'),
+  POLICY_FILE: path.join(stateDir, 'policy.yaml'),
+  RATE_LIMIT_FILE: path.join(stateDir, 'ratelimits.json'),
+  AUDIT_DIR: path.join(stateDir, 'audit'),
+  JOBS_DIR: path.join(stateDir, 'jobs'),
+  ADMIN_TOKEN: 'test-admin'
+});
+
+const broker = require('../broker/app');
+const config = require('../broker/config');
+
+const ADMIN = { authorization: 'Bearer test-admin' };
+
+let baseUrl;
+before(async () => {
+  await broker.init();
+  await new Promise(resolve => {
+    broker.server = broker.app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${broker.server.address().port}`;
+});
+after(() => broker.stop());
+
+async function request(method, route, body, headers = {}) {
+  const response = await fetch(baseUrl + route, {
+    method,
+    headers: { 'content-type': 'application/json', ...headers },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until `check()` resolves truthy, failing after `ms`
+async function waitFor(check, ms = 2000) {
+  for (const end = Date.now() + ms; !await check(); await wait(10)) {
+    if (Date.now() > end) assert.fail(`Timed out waiting for ${check}`);
+  }
+}
+
+test('POST /invoke runs the verb and answers with its result', async () => {
+  const { status, headers, body } = await request('POST', '/invoke', {
+    tool: 'testkit',
+    verb: 'echo',
+    args: { text: 'hi' }
+  }, { 'x-request-id': 'invoke-echo' });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.data, { text: 'hi' });
+  assert.strictEqual(body.meta.verb, 'testkit.echo');
+  assert.strictEqual(body.meta.request_id, 'invoke-echo');
+  assert.ok(headers.get('ratelimit-remaining'));
+});
+
+test('POST /invoke rejects args that do not match the schema', async () => {
+  const { status, body } = await request('POST', '/invoke', { tool: 'testkit', verb: 'echo', args: { text: 1 } });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.msg, 'INVALID_ARGS');
+  assert.deepStrictEqual(body.details.errors.map(error => error.pointer), ['/text']);
+});
+
+test('POST /invoke rejects unknown verbs and missing fields', async () => {
+  const unknown = await request('POST', '/invoke', { tool: 'testkit', verb: 'nope' });
+  assert.strictEqual(unknown.status, 404);
+  assert.strictEqual(unknown.body.msg, 'UNKNOWN_VERB');
+
+  const missing = await request('POST', '/invoke', { tool: 'testkit' });
+  assert.strictEqual(missing.status, 400);
+  assert.strictEqual(missing.body.msg, 'INVALID_ARGS');
+});
+
+test('POST /invoke stops the adapter at timeout_ms', async () => {
+  const { status, body } = await request('POST', '/invoke', {
+    tool: 'testkit',
+    verb: 'sleep',
+    args: { ms: 5000 },
+    timeout_ms: 200
+  });
+
+  assert.strictEqual(status, 504);
+  assert.strictEqual(body.msg, 'TIMEOUT');
+  await waitFor(() => broker.adapterProcesses.size === 0);
+});
+
+test('DELETE /invocations/:request_id cancels a running call', async () => {
+  const call = request('POST', '/invoke', { tool: 'testkit', verb: 'sleep', args: { ms: 5000 } }, { 'x-request-id': 'to-cancel' });
+  await waitFor(() => broker.inflight.has('to-cancel'));
+
+  const cancel = await request('DELETE', '/invocations/to-cancel');
+  assert.strictEqual(cancel.status, 200);
+
+  const { status, body } = await call;
+  assert.strictEqual(status, 499);
+  assert.strictEqual(body.msg, 'CANCELLED');
+
+  const again = await request('DELETE', '/invocations/to-cancel');
+  assert.strictEqual(again.status, 404);
+});
+
+test('an adapter call aborted before it starts spawns nothing', async () => {
+  const signal = AbortSignal.abort(new Error('TIMEOUT'));
+
+  await assert.rejects(broker.runAdapter('testkit', 'testkit.echo', { text: 'hi' }, {}, { signal }), { message: 'TIMEOUT' });
+  assert.strictEqual(broker.adapterProcesses.size, 0);
+});
+
+test('POST /jobs runs the call in the background and GET /jobs/:id reports it', async () => {
+  const started = await request('POST', '/jobs', { tool: 'testkit', verb: 'echo', args: { text: 'hi' } }, { 'x-request-id': 'job-echo' });
+  assert.strictEqual(started.status, 202);
+  assert.strictEqual(started.body.data.job_id, 'job-echo');
+
+  let job;
+  await waitFor(async () => {
+    job = (await request('GET', '/jobs/job-echo')).body.data;
+    return job.status === 'succeeded';
+  });
+  assert.deepStrictEqual(job.result.data, { text: 'hi' });
+
+  const duplicate = await request('POST', '/jobs', { tool: 'testkit', verb: 'echo', args: { text: 'hi' } }, { 'x-request-id': 'job-echo' });
+  assert.strictEqual(duplicate.status, 409);
+});
+
+test('DELETE /jobs/:id cancels a running job', async () => {
+  await request('POST', '/jobs', { tool: 'testkit', verb: 'sleep', args: { ms: 5000 } }, { 'x-request-id': 'job-sleep' });
+  await waitFor(() => broker.inflight.has('job-sleep'));
+
+  const cancel = await request('DELETE', '/jobs/job-sleep');
+  assert.strictEqual(cancel.status, 200);
+  await waitFor(async () => (await request('GET', '/jobs/job-sleep')).body.data.status === 'cancelled');
+
+  const again = await request('DELETE', '/jobs/job-sleep');
+  assert.strictEqual(again.status, 409);
+  assert.strictEqual((await request('GET', '/jobs/unknown')).status, 404);
+});
+
+test('POST /invoke/batch runs steps in dependency order with references', async () => {
+  const { status, body } = await request('POST', '/invoke/batch', {
+    steps: [
+      { id: 'second', tool: 'testkit', verb: 'echo', args: { text: 'got ${steps.first.data.text}' } },
+      { id: 'first', tool: 'testkit', verb: 'echo', args: { text: 'hi' } }
+    ]
+  });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.ok, true);
+  assert.deepStrictEqual(body.data.steps.map(step => [step.id, step.data.text]), [['second', 'got hi'], ['first', 'hi']]);
+});
+
+test('POST /invoke/batch rejects invalid plans before running anything', async () => {
+  const { status, body } = await request('POST', '/invoke/batch', {
+    steps: [{ id: 'a', tool: 'testkit', verb: 'echo', args: { text: 'hi' }, depends_on: 'b' }]
+  });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.msg, 'INVALID_ARGS');
+});
+
+test('a confirm-required call is held until an approver approves it', async () => {
+  const held = await request('POST', '/invoke', { tool: 'testkit', verb: 'remove', args: { path: 'a.txt' } });
+  assert.strictEqual(held.status, 202);
+  assert.strictEqual(held.body.msg, 'PENDING_CONFIRMATION');
+  const { token } = held.body.details;
+
+  const pending = await request('GET', '/confirmations', undefined, ADMIN);
+  assert.ok(pending.body.data.some(confirmation => confirmation.token === token));
+  assert.strictEqual((await request('GET', '/confirmations')).status, 403);
+
+  const approved = await request('POST', `/confirmations/${token}/approve`, {}, ADMIN);
+  assert.strictEqual(approved.status, 200);
+  await waitFor(async () => (await request('GET', `/jobs/${token}`)).body.data.status === 'succeeded');
+
+  const again = await request('POST', `/confirmations/${token}/approve`, {}, ADMIN);
+  assert.strictEqual(again.status, 409);
+});
+
+test('a rejected call never runs', async () => {
+  const held = await request('POST', '/invoke', { tool: 'testkit', verb: 'remove', args: { path: 'b.txt' } });
+  const { token } = held.body.details;
+
+  const rejected = await request('POST', `/confirmations/${token}/reject`, { reason: 'no' }, ADMIN);
+  assert.strictEqual(rejected.body.data.status, 'rejected');
+  assert.strictEqual((await request('GET', `/jobs/${token}`)).status, 404);
+});
+
+test('held calls count against the rate limits', async (t) => {
+  const limit = config.RATE_LIMIT_TOOL_MAX;
+  config.RATE_LIMIT_TOOL_MAX = 2;
+  t.after(() => { config.RATE_LIMIT_TOOL_MAX = limit; });
+
+  const hold = () => request('POST', '/invoke', { tool: 'testkit', verb: 'remove', args: { path: 'c.txt' }, caller_id: 'hasty' });
+  assert.strictEqual((await hold()).status, 202);
+  assert.strictEqual((await hold()).status, 202);
+
+  const limited = await hold();
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.body.msg, 'RATE_LIMITED');
+});
+
+test('a caller can only have CONFIRM_MAX_PENDING calls waiting', async (t) => {
+  const max = config.CONFIRM_MAX_PENDING;
+  config.CONFIRM_MAX_PENDING = 1;
+  t.after(() => { config.CONFIRM_MAX_PENDING = max; });
+
+  const hold = (caller_id) => request('POST', '/invoke', { tool: 'testkit', verb: 'remove', args: { path: 'd.txt' }, caller_id });
+  assert.strictEqual((await hold('patient')).status, 202);
+
+  const refused = await hold('patient');
+  assert.strictEqual(refused.status, 429);
+  assert.strictEqual(refused.body.msg, 'TOO_MANY_PENDING_CONFIRMATIONS');
+  assert.strictEqual((await hold('someone-else')).status, 202);
+});
+
+test('POST /invoke/:tool/:verb takes the args as the body', async () => {
+  const { status, body } = await request('POST', '/invoke/testkit/echo', { text: 'hi' });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.data, { text: 'hi' });
+});
+
+test('GET /openapi.json describes each verb and honours If-None-Match', async () => {
+  const { status, headers, body } = await request('GET', '/openapi.json');
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.openapi, '3.1.0');
+  const operation = body.paths['/invoke/testkit/echo'].post;
+  assert.strictEqual(operation.operationId, 'testkit.echo');
+
+  // fetch() adds `Cache-Control: no-cache` to conditional requests unless told otherwise
+  const cached = await fetch(`${baseUrl}/openapi.json`, {
+    headers: { 'if-none-match': headers.get('etag'), 'cache-control': 'max-age=0' }
+  });
+  assert.strictEqual(cached.status, 304);
+});
+
+test('an MCP session keeps its toolpack until it is closed for being idle', async (t) => {
+  const idle = config.MCP_SESSION_IDLE_MS;
+  config.MCP_SESSION_IDLE_MS = 100;
+  t.after(() => { config.MCP_SESSION_IDLE_MS = idle; });
+
+  const planned = await request('POST', '/plan', { goal: 'echo some text' });
+  const toolpackId = planned.body.data.toolpack_id;
+
+  const response = await fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      accept: 'application/json, text/event-stream',
+      'x-toolpack-id': toolpackId
+    },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1' } }
+    })
+  });
+  await response.text();
+  const sessionId = response.headers.get('mcp-session-id');
+  assert.ok(broker.mcp.sessions.has(sessionId));
+  assert.strictEqual(broker.toolRouter.toolpackCache.get(toolpackId).expires, null);
+
+  await waitFor(() => !broker.mcp.sessions.has(sessionId));
+  assert.strictEqual(broker.toolRouter.toolpackCache.has(toolpackId), false);
+});
+
+test('GET /doctor reports each tool\'s availability', async () => {
+  const { status, body } = await request('GET', '/doctor');
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data.version, require('../package.json').version);
+  const testkit = body.data.tools.find(tool => tool.tool_id === 'testkit');
+  assert.strictEqual(testkit.available, true);
+  assert.strictEqual(testkit.package.source, 'plugin');
+  assert.strictEqual(body.data.summary.tools, body.data.tools.length);
+  assert.deepStrictEqual(body.data.load_errors, []);
+});
@@ -0,0 +1,175 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../broker/auditLog');
+const config = require('../broker/config');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'agent-bus-audit-'));
+
+async function writeLog(dir, count) {
+  const log = new AuditLog(dir);
+  await log.load();
+  for (let i = 0; i < count; i++) {
+    log.append({ requestId: `r${i}`, callerId: 'alice', tool: 'fs', verb: 'fs.read', args: { path: `${i}.txt` }, code: 0, msg: 'OK', durationMs: 1 });
+  }
+  await log.flush();
+  return log;
+}
+
+function editLine(file, index, edit) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  lines[index] = JSON.stringify(edit(JSON.parse(lines[index])));
+  fs.writeFileSync(file, lines.join('\n'));
+}
+
+test('an untouched chain verifies', async () => {
+  const log = await writeLog(tempDir(), 5);
+  const result = await log.verify();
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.records, 5);
+  assert.strictEqual(result.last_hash, log.lastHash);
+  assert.strictEqual(result.head, 'checked');
+});
+
+test('redacts sensitive args', async () => {
+  const log = await writeLog(tempDir(), 0);
+  const record = log.append({ requestId: 'r', tool: 'mail', verb: 'mail.send', args: { to: 'a', password: 'hunter2' }, code: 0, msg: 'OK' });
+
+  assert.strictEqual(record.args.password, '[REDACTED]');
+  assert.strictEqual(record.args.to, 'a');
+});
+
+test('writes records in the background, in append order', async () => {
+  const log = await writeLog(tempDir(), 0);
+  for (let i = 0; i < 20; i++) {
+    log.append({ requestId: `r${i}`, tool: 'fs', verb: 'fs.read', args: {}, code: 0, msg: 'OK' });
+  }
+  // At most the first write is under way
+  const written = fs.existsSync(log.file) ? fs.readFileSync(log.file, 'utf8').split('\n').filter(Boolean) : [];
+  assert.ok(written.length <= 1);
+
+  await log.flush();
+  const seqs = fs.readFileSync(log.file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line).seq);
+  assert.deepStrictEqual(seqs, Array.from({ length: 20 }, (_, i) => i + 1));
+  assert.strictEqual(JSON.parse(fs.readFileSync(log.headFile, 'utf8')).seq, 20);
+});
+
+test('a head file left behind by a crash still verifies', async () => {
+  const log = await writeLog(tempDir(), 3);
+  const second = JSON.parse(fs.readFileSync(log.file, 'utf8').split('\n')[1]);
+  fs.writeFileSync(log.headFile, JSON.stringify({ seq: 2, hash: second.hash }));
+  assert.strictEqual((await log.verify()).ok, true);
+
+  fs.writeFileSync(log.headFile, JSON.stringify({ seq: 2, hash: second.prev_hash }));
+  assert.strictEqual((await log.verify()).error.reason, 'record 2 does not match the head file');
+});
+
+test('continues the chain after a restart', async () => {
+  const dir = tempDir();
+  await writeLog(dir, 2);
+  const log = await writeLog(dir, 2);
+  const result = await log.verify();
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.records, 4);
+});
+
+test('detects edited records', async () => {
+  const dir = tempDir();
+  const log = await writeLog(dir, 3);
+  editLine(log.file, 1, record => ({ ...record, caller_id: 'mallory' }));
+
+  const result = await log.verify();
+  assert.strictEqual(result.ok, false);
+  assert.deepStrictEqual(result.error, { file: 'audit.log', line: 2, reason: 'record 2 does not match its hash' });
+});
+
+test('detects removed records', async () => {
+  const dir = tempDir();
+  const log = await writeLog(dir, 3);
+  const lines = fs.readFileSync(log.file, 'utf8').split('\n');
+  lines.splice(1, 1);
+  fs.writeFileSync(log.file, lines.join('\n'));
+
+  const result = await log.verify();
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.error.reason, 'record 3 does not link to record 1');
+});
+
+test('detects records cut off the end', async () => {
+  const dir = tempDir();
+  const log = await writeLog(dir, 3);
+  const lines = fs.readFileSync(log.file, 'utf8').split('\n').filter(Boolean);
+  fs.writeFileSync(log.file, lines.slice(0, 2).join('\n') + '\n');
+
+  const result = await log.verify();
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.error.reason, 'the log ends at record 2 but the head file names record 3');
+});
+
+test('detects a deleted log', async () => {
+  const dir = tempDir();
+  const log = await writeLog(dir, 3);
+  fs.rmSync(log.file);
+
+  assert.strictEqual((await log.verify()).ok, false);
+});
+
+function rotatedLog(t, count) {
+  const maxBytes = config.AUDIT_MAX_BYTES;
+  config.AUDIT_MAX_BYTES = 2000;
+  t.after(() => { config.AUDIT_MAX_BYTES = maxBytes; });
+  return writeLog(tempDir(), count);
+}
+
+test('the chain carries on across rotated files', async (t) => {
+  const log = await rotatedLog(t, 12);
+  const files = await log.files();
+  assert.ok(files.length > 2);
+
+  const result = await log.verify();
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.records, 12);
+  assert.strictEqual(result.files, files.length);
+
+  const header = JSON.parse(fs.readFileSync(files[1], 'utf8').split('\n')[0]);
+  assert.strictEqual(header.type, 'rotation');
+  assert.strictEqual((await log.query({ limit: 100 })).length, 12);
+});
+
+test('the chain may start after the rotation header of the oldest file left', async (t) => {
+  const log = await rotatedLog(t, 12);
+  fs.rmSync((await log.files())[0]);
+
+  const result = await log.verify();
+  assert.strictEqual(result.ok, true);
+  assert.ok(result.anchor.seq > 1);
+});
+
+test('detects records removed from the start of the oldest file', async (t) => {
+  const log = await rotatedLog(t, 12);
+  const [first, second] = await log.files();
+  fs.rmSync(first);
+  const lines = fs.readFileSync(second, 'utf8').split('\n');
+  lines.splice(1, 1);
+  fs.writeFileSync(second, lines.join('\n'));
+
+  const result = await log.verify();
+  assert.strictEqual(result.ok, false);
+  assert.match(result.error.reason, /does not follow the rotation header/);
+});
+
+test('detects records removed from the start of the first file', async (t) => {
+  const log = await rotatedLog(t, 12);
+  const [first] = await log.files();
+  const lines = fs.readFileSync(first, 'utf8').split('\n');
+  lines.splice(0, 1);
+  fs.writeFileSync(first, lines.join('\n'));
+
+  const result = await log.verify();
+  assert.strictEqual(result.ok, false);
+  assert.match(result.error.reason, /starts the chain without a rotation header/);
+});
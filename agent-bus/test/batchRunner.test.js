@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const BatchRunner = require('../broker/batchRunner');
+const { BrokerError } = require('../broker/errors');
+
+// A broker whose verbs echo their args, recording the order they run in
+function fakeBroker({ fail = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    findVerb: () => null,
+    prepareInvocation: (body) => body,
+    performInvocation: async (requestId, invocation) => {
+      calls.push(requestId);
+      await new Promise(resolve => setImmediate(resolve));
+      if (fail.includes(invocation.verb)) throw new BrokerError(500, 50, 'ADAPTER_ERROR', 'failed');
+      return { ok: true, data: invocation.args };
+    }
+  };
+}
+
+test('runs steps after their dependencies and passes outputs on', async () => {
+  const broker = fakeBroker();
+  const results = await new BatchRunner(broker).run('b1', {
+    steps: [
+      { id: 'save', tool: 't', verb: 'save', args: { text: 'got ${steps.read.data.text}' } },
+      { id: 'read', tool: 't', verb: 'read', args: { text: 'hello' } }
+    ]
+  });
+
+  assert.deepStrictEqual(broker.calls, ['b1:read', 'b1:save']);
+  assert.deepStrictEqual(results.map(result => result.id), ['save', 'read']);
+  assert.deepStrictEqual(results[0].data, { text: 'got hello' });
+});
+
+test('skips steps whose dependencies failed', async () => {
+  const broker = fakeBroker({ fail: ['read'] });
+  const results = await new BatchRunner(broker).run('b2', {
+    steps: [
+      { id: 'read', tool: 't', verb: 'read', args: {} },
+      { id: 'save', tool: 't', verb: 'save', args: {}, depends_on: ['read'] },
+      { id: 'other', tool: 't', verb: 'other', args: {} }
+    ]
+  });
+
+  assert.strictEqual(results[0].msg, 'ADAPTER_ERROR');
+  assert.strictEqual(results[1].msg, 'SKIPPED');
+  assert.strictEqual(results[2].ok, true);
+  assert.ok(!broker.calls.includes('b2:save'));
+});
+
+test('rejects unknown dependencies, duplicate ids, bad depends_on and cycles', () => {
+  const runner = new BatchRunner(fakeBroker());
+  const invalid = (steps) => assert.throws(() => runner.plan(steps), { message: 'INVALID_ARGS' });
+
+  invalid([]);
+  invalid([{ id: 'a', tool: 't', verb: 'v', depends_on: ['b'] }]);
+  invalid([{ id: 'a', tool: 't', verb: 'v' }, { id: 'a', tool: 't', verb: 'v' }]);
+  invalid([{ id: 'a', tool: 't', verb: 'v' }, { id: 'b', tool: 't', verb: 'v', depends_on: 'a' }]);
+  invalid([{ id: 'a', tool: 't', verb: 'v', depends_on: [1] }]);
+  invalid([
+    { id: 'a', tool: 't', verb: 'v', args: { x: '${steps.b.data}' } },
+    { id: 'b', tool: 't', verb: 'v', depends_on: ['a'] }
+  ]);
+});
+
+test('aborting the signal cancels running steps and fails the rest', async () => {
+  const cancelled = [];
+  const pending = new Map();
+  const broker = {
+    findVerb: () => null,
+    prepareInvocation: (body) => body,
+    performInvocation: (requestId) => new Promise((resolve, reject) => pending.set(requestId, reject)),
+    cancelInvocation: (requestId) => {
+      cancelled.push(requestId);
+      pending.get(requestId)(new BrokerError(499, 55, 'CANCELLED', `Invocation ${requestId} was cancelled`));
+    }
+  };
+  const controller = new AbortController();
+
+  const run = new BatchRunner(broker).run('b3', {
+    steps: [
+      { id: 'slow', tool: 't', verb: 'slow', args: {} },
+      { id: 'next', tool: 't', verb: 'next', args: {}, depends_on: ['slow'] }
+    ]
+  }, {}, null, { signal: controller.signal });
+
+  await new Promise(resolve => setImmediate(resolve));
+  controller.abort(new BrokerError(499, 55, 'CANCELLED', 'Invocation b3 was cancelled'));
+  const results = await run;
+
+  assert.deepStrictEqual(cancelled, ['b3:slow']);
+  assert.strictEqual(results[0].msg, 'CANCELLED');
+  assert.strictEqual(results[1].msg, 'SKIPPED');
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const CircuitBreaker = require('../broker/circuitBreaker');
+
+const manifest = { circuit_breaker: { failure_threshold: 2, cooldown_ms: 20 } };
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('opens after consecutive failures and fails fast', () => {
+  const breaker = new CircuitBreaker();
+  breaker.recordFailure('mail', manifest);
+  breaker.check('mail', manifest);
+  breaker.recordFailure('mail', manifest);
+
+  assert.throws(() => breaker.check('mail', manifest), (error) => {
+    assert.strictEqual(error.code, 56);
+    assert.strictEqual(error.headers['Retry-After'], '1');
+    return true;
+  });
+  assert.deepStrictEqual(breaker.states(), { mail: 'open' });
+});
+
+test('a success resets the failure count', () => {
+  const breaker = new CircuitBreaker();
+  breaker.recordFailure('mail', manifest);
+  breaker.recordSuccess('mail');
+  breaker.recordFailure('mail', manifest);
+
+  assert.doesNotThrow(() => breaker.check('mail', manifest));
+});
+
+test('lets one probe through after the cooldown', async () => {
+  const breaker = new CircuitBreaker();
+  breaker.recordFailure('mail', manifest);
+  breaker.recordFailure('mail', manifest);
+  await wait(30);
+
+  breaker.check('mail', manifest);
+  assert.deepStrictEqual(breaker.states(), { mail: 'half_open' });
+  assert.throws(() => breaker.check('mail', manifest), { message: 'TOOL_UNAVAILABLE' });
+
+  breaker.recordSuccess('mail');
+  assert.deepStrictEqual(breaker.states(), {});
+});
+
+test('a failed probe opens the circuit again', async () => {
+  const breaker = new CircuitBreaker();
+  breaker.recordFailure('mail', manifest);
+  breaker.recordFailure('mail', manifest);
+  await wait(30);
+
+  breaker.check('mail', manifest);
+  breaker.recordFailure('mail', manifest);
+  assert.throws(() => breaker.check('mail', manifest), { message: 'TOOL_UNAVAILABLE' });
+});
+
+test('a released probe hands the probe to the next call', async () => {
+  const breaker = new CircuitBreaker();
+  breaker.recordFailure('mail', manifest);
+  breaker.recordFailure('mail', manifest);
+  await wait(30);
+
+  breaker.check('mail', manifest);
+  breaker.release('mail');
+  assert.doesNotThrow(() => breaker.check('mail', manifest));
+});
+
+test('a threshold of 0 turns the breaker off', () => {
+  const breaker = new CircuitBreaker();
+  const off = { circuit_breaker: { failure_threshold: 0 } };
+  for (let i = 0; i < 10; i++) breaker.recordFailure('mail', off);
+
+  assert.doesNotThrow(() => breaker.check('mail', off));
+});
+
+test('CIRCUIT_FAILURE_THRESHOLD=0 is kept rather than replaced by the default', () => {
+  const threshold = (value) => execFileSync(process.execPath, ['-p', 'require("./broker/config").CIRCUIT_FAILURE_THRESHOLD'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, CIRCUIT_FAILURE_THRESHOLD: value },
+    encoding: 'utf8'
+  }).trim();
+
+  assert.strictEqual(threshold('0'), '0');
+  assert.strictEqual(threshold('oops'), '5');
+});
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// A one-shot adapter for the HTTP tests: `echo` answers with its args,
+// `sleep` answers after `args.ms` and `remove` (confirm-required) only says
+// what it would remove
+const { verb, args = {} } = JSON.parse(process.argv[2] || '{}');
+
+const ok = (data) => process.stdout.write(JSON.stringify({ ok: true, data }) + '\n');
+
+if (verb === 'testkit.echo') {
+  ok(args);
+} else if (verb === 'testkit.remove') {
+  ok({ removed: args.path });
+} else if (verb === 'testkit.sleep') {
+  setTimeout(() => ok({ pid: process.pid }), args.ms);
+} else {
+  process.stderr.write(JSON.stringify({ ok: false, code: 10, msg: 'UNKNOWN_VERB' }) + '\n');
+  process.exit(1);
+}
@@ -0,0 +1,19 @@
+// A worker for WorkerPool tests: `echo` answers with its args and `sleep`
+// answers after `args.ms`, both with the worker's pid
+const readline = require('readline');
+
+const reply = (message) => process.stdout.write(JSON.stringify(message) + '\n');
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const message = JSON.parse(line);
+
+  if (message.type === 'ping') {
+    reply({ id: message.id, type: 'pong' });
+  } else if (message.verb === 'echo') {
+    reply({ id: message.id, ok: true, data: { pid: process.pid, args: message.args } });
+  } else if (message.verb === 'sleep') {
+    setTimeout(() => reply({ id: message.id, ok: true, data: { pid: process.pid } }), message.args.ms);
+  } else {
+    reply({ id: message.id, ok: false, code: 50, msg: 'UNKNOWN_VERB' });
+  }
+});
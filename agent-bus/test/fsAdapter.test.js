@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'adapters', 'fs', 'cli.js');
+
+const run = (verb, args) => JSON.parse(execFileSync('node', [CLI, JSON.stringify({ verb, args })], { encoding: 'utf8' }));
+
+test('analyze counts files and directories', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-bus-fs-'));
+  fs.mkdirSync(path.join(dir, 'src', 'lib'), { recursive: true });
+  fs.mkdirSync(path.join(dir, 'docs'));
+  fs.writeFileSync(path.join(dir, 'README.md'), '# Hi');
+  fs.writeFileSync(path.join(dir, 'src', 'lib', 'index.js'), '');
+
+  const { data } = run('fs.analyze', { dir });
+  assert.strictEqual(data.files, 2);
+  assert.strictEqual(data.directories, 3);
+});
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { InvocationQueue } = require('../broker/invocationQueue');
+
+const single = { max_concurrency: 1 };
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('does not queue tools without limits', async () => {
+  const queue = new InvocationQueue();
+  const slot = await queue.acquire('fs', {});
+  assert.strictEqual(slot.queue, null);
+});
+
+test('holds calls beyond max_concurrency until a slot frees up', async () => {
+  const queue = new InvocationQueue();
+  const first = await queue.acquire('mail', single);
+  let started = false;
+  const second = queue.acquire('mail', single).then(slot => { started = true; return slot; });
+
+  await tick();
+  assert.strictEqual(started, false);
+  assert.deepStrictEqual(queue.depths(), { mail: 1 });
+
+  first.release();
+  const slot = await second;
+  assert.strictEqual(slot.queue.depth, 0);
+  assert.deepStrictEqual(queue.depths(), {});
+});
+
+test('serves higher priorities first', async () => {
+  const queue = new InvocationQueue();
+  const running = await queue.acquire('mail', single);
+  const order = [];
+
+  const waiting = ['background', 'normal', 'interactive'].map(priority =>
+    queue.acquire('mail', single, { priority }).then(slot => {
+      order.push(priority);
+      slot.release();
+    }));
+
+  await tick();
+  running.release();
+  await Promise.all(waiting);
+  assert.deepStrictEqual(order, ['interactive', 'normal', 'background']);
+});
+
+test('takes turns between callers of the same priority', async () => {
+  const queue = new InvocationQueue();
+  const running = await queue.acquire('mail', single, { callerId: 'busy' });
+  const order = [];
+
+  const waiting = ['busy', 'busy', 'busy', 'quiet', 'quiet'].map(callerId =>
+    queue.acquire('mail', single, { callerId }).then(slot => {
+      order.push(callerId);
+      slot.release();
+    }));
+
+  await tick();
+  running.release();
+  await Promise.all(waiting);
+  assert.deepStrictEqual(order, ['quiet', 'busy', 'quiet', 'busy', 'busy']);
+});
+
+test('limits calls per concurrency key', async () => {
+  const queue = new InvocationQueue();
+  const manifest = { concurrency_key: { arg: 'session' } };
+  const first = await queue.acquire('web', manifest, { args: { session: 'a' } });
+  const other = await queue.acquire('web', manifest, { args: { session: 'b' } });
+  const keyless = await queue.acquire('web', manifest, { args: {} });
+
+  let started = false;
+  const same = queue.acquire('web', manifest, { args: { session: 'a' } }).then(slot => { started = true; return slot; });
+  await tick();
+  assert.strictEqual(started, false);
+
+  first.release();
+  (await same).release();
+  other.release();
+  keyless.release();
+});
+
+test('a call for an idle session does not wait behind a busy one', async () => {
+  const queue = new InvocationQueue();
+  const manifest = { max_concurrency: 3, concurrency_key: { arg: 'session' } };
+  const busy = await queue.acquire('web', manifest, { args: { session: 'a' } });
+  const blocked = queue.acquire('web', manifest, { args: { session: 'a' } });
+
+  const idle = await queue.acquire('web', manifest, { args: { session: 'b' } });
+  assert.deepStrictEqual(idle.queue, { depth: 0, waited_ms: 0 });
+  assert.deepStrictEqual(queue.depths(), { web: 1 });
+
+  busy.release();
+  (await blocked).release();
+  idle.release();
+});
+
+test('rejects calls once the queue is full', async () => {
+  const queue = new InvocationQueue({ maxLength: 1 });
+  await queue.acquire('mail', single);
+  queue.acquire('mail', single);
+
+  await assert.rejects(queue.acquire('mail', single), (error) => {
+    assert.strictEqual(error.code, 57);
+    assert.strictEqual(error.headers['Retry-After'], '1');
+    return true;
+  });
+});
+
+test('aborting a waiting call removes it from the queue', async () => {
+  const queue = new InvocationQueue();
+  await queue.acquire('mail', single);
+  const controller = new AbortController();
+  const waiting = queue.acquire('mail', single, { signal: controller.signal });
+
+  controller.abort(new Error('CANCELLED'));
+  await assert.rejects(waiting, { message: 'CANCELLED' });
+  assert.deepStrictEqual(queue.depths(), {});
+});
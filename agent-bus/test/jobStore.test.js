@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobStore = require('../broker/jobStore');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'agent-bus-jobs-'));
+
+test('creates, updates and persists jobs', async () => {
+  const dir = tempDir();
+  const store = new JobStore(dir);
+  await store.load();
+  clearInterval(store.pruneTimer);
+
+  const job = store.create({ id: 'job1', tool: 'fs', verb: 'fs.read', callerId: 'alice' });
+  assert.strictEqual(job.status, 'running');
+  assert.strictEqual(store.isFinished(job), false);
+
+  store.update('job1', { progress: { done: 1 } });
+  store.update('job1', { status: 'succeeded', result: { ok: true, data: 42 } });
+  await store.flush();
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'job1.json'), 'utf8'));
+  assert.strictEqual(saved.status, 'succeeded');
+  assert.deepStrictEqual(saved.result, { ok: true, data: 42 });
+  assert.deepStrictEqual(saved.progress, { done: 1 });
+});
+
+test('marks jobs interrupted by a restart as failed', async () => {
+  const dir = tempDir();
+  const first = new JobStore(dir);
+  await first.load();
+  clearInterval(first.pruneTimer);
+  first.create({ id: 'job2', tool: 'fs', verb: 'fs.read', callerId: 'alice' });
+  await first.flush();
+
+  const second = new JobStore(dir);
+  await second.load();
+  clearInterval(second.pruneTimer);
+  const job = second.get('job2');
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.error.msg, 'INTERRUPTED');
+});
+
+test('prunes finished jobs past the retention period', async () => {
+  const dir = tempDir();
+  const store = new JobStore(dir);
+  await store.load();
+  clearInterval(store.pruneTimer);
+
+  store.create({ id: 'old', tool: 'fs', verb: 'fs.read' });
+  store.update('old', { status: 'succeeded' });
+  store.get('old').updated_at = new Date(0).toISOString();
+  store.create({ id: 'running', tool: 'fs', verb: 'fs.read' });
+  store.get('running').updated_at = new Date(0).toISOString();
+  await store.flush();
+
+  await store.prune();
+  assert.strictEqual(store.has('old'), false);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'old.json')), false);
+  assert.strictEqual(store.has('running'), true);
+});
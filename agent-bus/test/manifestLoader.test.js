@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createSchemaCompiler, validateManifest } = require('../broker/manifestLoader');
+const { toolName } = require('../broker/toolFormats');
+
+const pageSchema = () => ({
+  $id: 'https://agent-bus.local/schemas/page.json',
+  type: 'object',
+  required: ['url'],
+  properties: { url: { type: 'string' }, limit: { type: 'integer', default: 10 } }
+});
+
+test('compiled validators apply defaults and report errors', () => {
+  const validate = createSchemaCompiler()(pageSchema());
+  const data = { url: 'https://example.com' };
+
+  assert.strictEqual(validate(data), true);
+  assert.strictEqual(data.limit, 10);
+  assert.strictEqual(validate({}), false);
+  assert.strictEqual(validate.errors[0].params.missingProperty, 'url');
+});
+
+test('equal schemas share a validator, even with an $id', () => {
+  const compile = createSchemaCompiler();
+  assert.strictEqual(compile(pageSchema()), compile(pageSchema()));
+});
+
+test('each load compiles afresh, so an $id can be loaded again', () => {
+  createSchemaCompiler()(pageSchema());
+  const changed = { ...pageSchema(), required: [] };
+
+  assert.strictEqual(createSchemaCompiler()(changed)({}), true);
+});
+
+test('ids whose tool names could not be turned back into verb ids are rejected', () => {
+  const manifest = (toolId, verbId) => ({
+    tool_id: toolId,
+    version: '1.0.0',
+    trust_tier: 'A',
+    verbs: [{ id: verbId, args: {}, returns: {} }]
+  });
+
+  assert.strictEqual(validateManifest(manifest('web_search', 'web_search.search_all')), true);
+  assert.strictEqual(toolName('web_search.search_all'), 'web_search__search_all');
+
+  assert.strictEqual(validateManifest(manifest('web_', 'web_.search')), false);
+  assert.strictEqual(validateManifest(manifest('web__search', 'web__search.run')), false);
+  assert.strictEqual(validateManifest(manifest('web', 'web.search__all')), false);
+  assert.strictEqual(validateManifest(manifest('web', 'web.search_')), false);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PolicyEngine = require('../broker/policy');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'agent-bus-policy-'));
+
+async function loadPolicy(yaml) {
+  const file = path.join(tempDir(), 'policy.yaml');
+  fs.writeFileSync(file, yaml);
+  const engine = new PolicyEngine(file);
+  await engine.load();
+  return engine;
+}
+
+test('allows everything without a policy file', async () => {
+  const engine = new PolicyEngine(path.join(tempDir(), 'missing.yaml'));
+  await engine.load();
+  assert.strictEqual(engine.evaluate({ tool: 'fs', verb: 'fs.delete', args: {} }).effect, 'allow');
+});
+
+test('rejects invalid policy files', async () => {
+  await assert.rejects(loadPolicy('rules:\n  - id: r\n    effect: maybe\n'), /Invalid policy file/);
+});
+
+test('the first matching rule decides', async () => {
+  const engine = await loadPolicy(`
+default: deny
+rules:
+  - id: no-secrets
+    match: { tool: fs }
+    when: [{ path: $.path, matches: secret }]
+    effect: deny
+  - id: confirm-deletes
+    match: { verb: fs.delete }
+    effect: confirm
+  - id: fs
+    match: { tool: fs }
+    effect: allow
+`);
+
+  const decide = (verb, args) => engine.evaluate({ tool: 'fs', verb, args }).rule;
+  assert.strictEqual(decide('fs.delete', { path: 'secret.txt' }), 'no-secrets');
+  assert.strictEqual(decide('fs.delete', { path: 'notes.txt' }), 'confirm-deletes');
+  assert.strictEqual(decide('fs.read', { path: 'notes.txt' }), 'fs');
+  assert.strictEqual(engine.evaluate({ tool: 'mail', verb: 'mail.send', args: {} }).effect, 'deny');
+});
+
+test('explains why each rule did or did not match', async () => {
+  const engine = await loadPolicy(`
+rules:
+  - id: mail
+    match: { tool: mail }
+    effect: deny
+`);
+  const decision = engine.evaluate({ tool: 'fs', verb: 'fs.read', args: {} }, { explain: true });
+
+  assert.deepStrictEqual(decision.trace, [{ rule: 'mail', matched: false, reason: 'tool does not match' }]);
+});
+
+test('within keeps paths inside a directory', async () => {
+  const root = tempDir();
+  const engine = await loadPolicy(`
+default: deny
+rules:
+  - id: sandbox
+    when: [{ path: $.path, within: ${JSON.stringify(root)} }]
+    effect: allow
+`);
+  const effect = (target) => engine.evaluate({ tool: 'fs', verb: 'fs.read', args: { path: target } }).effect;
+
+  assert.strictEqual(effect(path.join(root, 'notes.txt')), 'allow');
+  assert.strictEqual(effect(path.join(root, '..', 'notes.txt')), 'deny');
+  assert.strictEqual(effect(`${root}-sibling/notes.txt`), 'deny');
+});
+
+test('within follows symlinks', async () => {
+  const root = tempDir();
+  const outside = tempDir();
+  fs.symlinkSync(outside, path.join(root, 'escape'));
+  fs.symlinkSync(root, path.join(outside, 'into-root'));
+  const engine = await loadPolicy(`
+default: deny
+rules:
+  - id: sandbox
+    when: [{ path: $.path, within: ${JSON.stringify(root)} }]
+    effect: allow
+`);
+  const effect = (target) => engine.evaluate({ tool: 'fs', verb: 'fs.write', args: { path: target } }).effect;
+
+  assert.strictEqual(effect(path.join(root, 'escape', 'notes.txt')), 'deny');
+  assert.strictEqual(effect(path.join(root, 'escape')), 'deny');
+  assert.strictEqual(effect(path.join(outside, 'into-root', 'notes.txt')), 'allow');
+  assert.strictEqual(effect(path.join(root, 'new', 'dir', 'notes.txt')), 'allow');
+});
+
+test('within the filesystem root allows any path', async () => {
+  const engine = await loadPolicy(`
+default: deny
+rules:
+  - id: anywhere
+    when: [{ path: $.path, within: ${JSON.stringify(path.parse(process.cwd()).root)} }]
+    effect: allow
+`);
+  assert.strictEqual(engine.evaluate({ tool: 'fs', verb: 'fs.read', args: { path: __filename } }).effect, 'allow');
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RateLimiter = require('../broker/rateLimiter');
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'agent-bus-rl-')), 'limits.json');
+
+test('refuses calls once a budget is used up', () => {
+  const limiter = new RateLimiter(tempFile());
+  const rules = [{ key: 'caller:a', limit: 2, windowMs: 60000 }];
+
+  assert.strictEqual(limiter.consume(rules).remaining, 1);
+  assert.strictEqual(limiter.consume(rules).remaining, 0);
+
+  const refused = limiter.consume(rules);
+  assert.strictEqual(refused.allowed, false);
+  assert.strictEqual(refused.key, 'caller:a');
+  assert.ok(refused.retryAfterMs > 0 && refused.retryAfterMs <= 60000);
+});
+
+test('only counts a call when every rule allows it', () => {
+  const limiter = new RateLimiter(tempFile());
+  const caller = { key: 'caller:a', limit: 10, windowMs: 60000 };
+  const tool = { key: 'tool:a:fs', limit: 1, windowMs: 60000 };
+
+  assert.strictEqual(limiter.consume([caller, tool]).allowed, true);
+  assert.strictEqual(limiter.consume([caller, tool]).key, 'tool:a:fs');
+  assert.strictEqual(limiter.consume([caller]).remaining, 8);
+});
+
+test('reports the most restrictive rule', () => {
+  const limiter = new RateLimiter(tempFile());
+  const state = limiter.consume([
+    { key: 'caller:a', limit: 100, windowMs: 60000 },
+    { key: 'verb:a:email.send', limit: 3, windowMs: 60000 }
+  ]);
+
+  assert.strictEqual(state.key, 'verb:a:email.send');
+  assert.strictEqual(state.remaining, 2);
+});
+
+test('starts a new window once the old one ends', async () => {
+  const limiter = new RateLimiter(tempFile());
+  const rules = [{ key: 'caller:a', limit: 1, windowMs: 20 }];
+
+  limiter.consume(rules);
+  assert.strictEqual(limiter.consume(rules).allowed, false);
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual(limiter.consume(rules).allowed, true);
+});
+
+test('keeps counters across restarts', async () => {
+  const file = tempFile();
+  const rules = [{ key: 'caller:a', limit: 2, windowMs: 60000 }];
+  const first = new RateLimiter(file);
+  first.consume(rules);
+  await first.flush();
+
+  const second = new RateLimiter(file);
+  await second.load();
+  assert.strictEqual(second.consume(rules).remaining, 0);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parsePath, resolveReferences, findReferences } = require('../broker/references');
+
+const context = {
+  steps: {
+    search: { ok: true, data: { results: [{ url: 'https://example.com', rank: 1 }] } }
+  }
+};
+
+test('parses dotted, indexed and quoted paths', () => {
+  assert.deepStrictEqual(parsePath('steps.search.data.results[0]["url"]'),
+    ['steps', 'search', 'data', 'results', 0, 'url']);
+  assert.deepStrictEqual(parsePath("a['b c'].d"), ['a', 'b c', 'd']);
+});
+
+test('a whole-string reference keeps the value type', () => {
+  assert.strictEqual(resolveReferences('${steps.search.data.results[0].rank}', context), 1);
+  assert.deepStrictEqual(resolveReferences('${steps.search.data.results[0]}', context),
+    { url: 'https://example.com', rank: 1 });
+});
+
+test('references inside text are interpolated', () => {
+  assert.strictEqual(
+    resolveReferences('Open ${steps.search.data.results[0].url} (#${steps.search.data.results[0].rank})', context),
+    'Open https://example.com (#1)');
+});
+
+test('resolves references inside arrays and objects', () => {
+  assert.deepStrictEqual(
+    resolveReferences({ urls: ['${steps.search.data.results[0].url}'], n: 3 }, context),
+    { urls: ['https://example.com'], n: 3 });
+});
+
+test('formats arrays as lists or joined text', () => {
+  const plan = { steps: { organize: { data: { plan: [{ description: 'Move images' }, { description: 'Move docs' }], none: [] } } } };
+
+  assert.strictEqual(resolveReferences('Plan:\n${steps.organize.data.plan | list: description}', plan),
+    'Plan:\n- Move images\n- Move docs');
+  assert.strictEqual(resolveReferences('${steps.organize.data.none | list}', plan), '- none');
+  assert.strictEqual(resolveReferences('${steps.organize.data.plan|join:description}', plan), 'Move images, Move docs');
+  assert.strictEqual(resolveReferences('Ranks: ${steps.search.data.results | join: rank}', context), 'Ranks: 1');
+});
+
+test('missing references throw with the expression', () => {
+  assert.throws(() => resolveReferences('${steps.page.data}', context), (error) => {
+    assert.strictEqual(error.reference, 'steps.page.data');
+    return true;
+  });
+});
+
+test('inherited properties do not resolve', () => {
+  assert.throws(() => resolveReferences('${steps.search.constructor}', context), { message: /Cannot resolve/ });
+  assert.throws(() => resolveReferences('${steps.search.__proto__}', context), { message: /Cannot resolve/ });
+  assert.throws(() => resolveReferences('${steps.search.data.results.map}', context), { message: /Cannot resolve/ });
+  assert.strictEqual(resolveReferences('${steps.search.data.results.length}', context), 1);
+});
+
+test('lists the references in a value', () => {
+  assert.deepStrictEqual(findReferences({ a: '${steps.x.data}', b: ['${ steps.y.ok } and ${inputs.z}'] }),
+    ['steps.x.data', 'steps.y.ok', 'inputs.z']);
+  assert.deepStrictEqual(findReferences('${steps.x.data.items | list: name}'), ['steps.x.data.items']);
+});
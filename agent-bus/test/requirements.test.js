@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { checkRequirements } = require('../broker/requirements');
+
+const adapterDir = path.join(__dirname, '..', 'adapters', 'fs');
+
+test('a manifest without requirements is available', () => {
+  assert.deepStrictEqual(checkRequirements({}, { adapterDir }), { available: true, checks: [] });
+});
+
+test('an OS mismatch is the only check reported', () => {
+  const result = checkRequirements({ requirements: { os: ['darwin'], binaries: ['osascript'] } },
+    { adapterDir, platform: 'linux' });
+
+  assert.strictEqual(result.available, false);
+  assert.strictEqual(result.checks.length, 1);
+  assert.strictEqual(result.checks[0].kind, 'os');
+  assert.match(result.checks[0].reason, /not linux/);
+});
+
+test('checks binaries, modules and environment variables', () => {
+  process.env.AGENT_BUS_TEST_SET = '1';
+  delete process.env.AGENT_BUS_TEST_UNSET;
+
+  const result = checkRequirements({
+    requirements: {
+      binaries: [path.basename(process.execPath), 'agent-bus-no-such-binary'],
+      modules: ['yaml', 'agent-bus-no-such-module'],
+      env: ['AGENT_BUS_TEST_SET', { name: 'AGENT_BUS_TEST_UNSET', hint: 'Set it' }]
+    }
+  }, { adapterDir });
+
+  assert.strictEqual(result.available, false);
+  assert.deepStrictEqual(result.checks.map(check => [check.name, check.ok]), [
+    [path.basename(process.execPath), true],
+    ['agent-bus-no-such-binary', false],
+    ['yaml', true],
+    ['agent-bus-no-such-module', false],
+    ['AGENT_BUS_TEST_SET', true],
+    ['AGENT_BUS_TEST_UNSET', false]
+  ]);
+  assert.strictEqual(result.checks[5].hint, 'Set it');
+  assert.match(result.checks[3].hint, /npm install agent-bus-no-such-module/);
+});
+
+test('any one alternative satisfies a check', () => {
+  const result = checkRequirements({
+    requirements: { binaries: [{ name: ['agent-bus-no-such-binary', path.basename(process.execPath)] }] }
+  }, { adapterDir });
+
+  assert.strictEqual(result.available, true);
+});
+
+test('skips entries limited to other platforms', () => {
+  const result = checkRequirements({
+    requirements: { binaries: [{ name: 'agent-bus-no-such-binary', os: ['win32'] }] }
+  }, { adapterDir, platform: 'linux' });
+
+  assert.deepStrictEqual(result, { available: true, checks: [] });
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ResultCache = require('../broker/resultCache');
+
+const cacheDef = { ttl_seconds: 60 };
+
+test('returns copies of cached results for the same args', () => {
+  const cache = new ResultCache();
+  cache.set('fs.read', { path: 'a', encoding: 'utf8' }, cacheDef, { text: 'hello' });
+
+  const hit = cache.get('fs.read', { encoding: 'utf8', path: 'a' }, cacheDef);
+  assert.deepStrictEqual(hit, { text: 'hello' });
+  hit.text = 'changed';
+  assert.deepStrictEqual(cache.get('fs.read', { path: 'a', encoding: 'utf8' }, cacheDef), { text: 'hello' });
+  assert.strictEqual(cache.get('fs.read', { path: 'b', encoding: 'utf8' }, cacheDef), undefined);
+});
+
+test('keys on key_args only when the manifest lists them', () => {
+  const cache = new ResultCache();
+  const def = { ttl_seconds: 60, key_args: ['query'] };
+  cache.set('web_search.search', { query: 'q', trace: 1 }, def, ['r']);
+
+  assert.deepStrictEqual(cache.get('web_search.search', { query: 'q', trace: 2 }, def), ['r']);
+});
+
+test('takes the ttl in seconds or milliseconds', async () => {
+  const cache = new ResultCache();
+  cache.set('web_search.search', { query: 'q' }, { ttl_ms: 20 }, ['r']);
+  cache.set('fs.read', { path: 'a' }, cacheDef, 'a');
+
+  assert.deepStrictEqual(cache.get('web_search.search', { query: 'q' }, cacheDef), ['r']);
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual(cache.get('web_search.search', { query: 'q' }, cacheDef), undefined);
+  assert.strictEqual(cache.get('fs.read', { path: 'a' }, cacheDef), 'a');
+});
+
+test('expires entries after their ttl', () => {
+  const cache = new ResultCache();
+  cache.set('fs.read', { path: 'a' }, { ttl_seconds: 0 }, 'x');
+
+  assert.strictEqual(cache.get('fs.read', { path: 'a' }, cacheDef), undefined);
+  assert.strictEqual(cache.size, 0);
+});
+
+test('evicts the least recently used entries', () => {
+  const cache = new ResultCache({ maxEntries: 2, maxBytes: 1024 });
+  cache.set('v', { n: 1 }, cacheDef, 1);
+  cache.set('v', { n: 2 }, cacheDef, 2);
+  cache.get('v', { n: 1 }, cacheDef);
+  cache.set('v', { n: 3 }, cacheDef, 3);
+
+  assert.strictEqual(cache.get('v', { n: 1 }, cacheDef), 1);
+  assert.strictEqual(cache.get('v', { n: 2 }, cacheDef), undefined);
+  assert.strictEqual(cache.get('v', { n: 3 }, cacheDef), 3);
+});
+
+test('does not cache results larger than the byte budget', () => {
+  const cache = new ResultCache({ maxEntries: 10, maxBytes: 8 });
+  cache.set('v', {}, cacheDef, 'far too long to keep');
+  assert.strictEqual(cache.size, 0);
+});
+
+test('invalidates whole verbs or only matching args', () => {
+  const cache = new ResultCache();
+  cache.set('fs.read', { path: 'a' }, cacheDef, 'a');
+  cache.set('fs.read', { path: 'b' }, cacheDef, 'b');
+  cache.set('fs.list', { dir: '.' }, cacheDef, []);
+
+  cache.invalidate([{ verb: 'fs.read', match: { path: 'path' } }], { path: 'a' });
+  assert.strictEqual(cache.get('fs.read', { path: 'a' }, cacheDef), undefined);
+  assert.strictEqual(cache.get('fs.read', { path: 'b' }, cacheDef), 'b');
+
+  cache.invalidate(['fs.list'], {});
+  assert.strictEqual(cache.get('fs.list', { dir: '.' }, cacheDef), undefined);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ToolRouter = require('../broker/toolRouter');
+const config = require('../broker/config');
+
+const manifests = {
+  fs: {
+    tool_id: 'fs',
+    trust_tier: 'local',
+    verbs: [
+      { id: 'fs.read', description: 'Read a file from disk' },
+      { id: 'fs.write', description: 'Write a file to disk' }
+    ]
+  },
+  mail: {
+    tool_id: 'mail',
+    trust_tier: 'local',
+    verbs: [{ id: 'mail.send', description: 'Send an email' }]
+  }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('plans a toolpack from the goal and checks access against it', () => {
+  const router = new ToolRouter(manifests);
+  const toolpack = router.createToolpack('read a file', 1);
+
+  assert.deepStrictEqual(toolpack.tools.map(tool => tool.verb), ['fs.read']);
+  assert.deepStrictEqual(router.validateToolpackAccess(toolpack.toolpack_id, 'fs', 'fs.read'), { valid: true });
+  assert.strictEqual(router.validateToolpackAccess(toolpack.toolpack_id, 'mail', 'mail.send').error, 'TOOL_NOT_IN_PACK');
+});
+
+test('leaves out unavailable tools', () => {
+  const router = new ToolRouter(manifests, new Map(), { mail: { available: false } });
+  assert.deepStrictEqual(router.createToolpack('send an email').tools.map(tool => tool.tool_id), []);
+});
+
+test('toolpacks expire after TOOLPACK_TTL unless persistent', async (t) => {
+  const ttl = config.TOOLPACK_TTL;
+  config.TOOLPACK_TTL = 20;
+  t.after(() => { config.TOOLPACK_TTL = ttl; });
+
+  const router = new ToolRouter(manifests);
+  const planned = router.createToolpack('read a file');
+  const session = router.createToolpack('read a file', 8, { persistent: true });
+  assert.strictEqual(session.ttl_seconds, null);
+
+  await wait(40);
+  assert.strictEqual(router.validateToolpackAccess(planned.toolpack_id, 'fs', 'fs.read').error, 'TOOLPACK_EXPIRED');
+  assert.deepStrictEqual(router.validateToolpackAccess(session.toolpack_id, 'fs', 'fs.read'), { valid: true });
+
+  router.removeToolpack(session.toolpack_id);
+  assert.strictEqual(router.validateToolpackAccess(session.toolpack_id, 'fs', 'fs.read').error, 'TOOLPACK_EXPIRED');
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawn } = require('child_process');
+const readline = require('readline');
+
+const CLI = path.join(__dirname, '..', 'adapters', 'web_enhanced', 'cli.js');
+
+// Send requests to a web_enhanced worker and collect its answers and stderr
+function runWorker(requests, env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('node', [CLI, '--worker'], { env: { ...process.env, ...env } });
+    const answers = [];
+    let stderr = '';
+
+    readline.createInterface({ input: child.stdout }).on('line', line => answers.push(JSON.parse(line)));
+    child.stderr.on('data', data => { stderr += data; });
+    child.on('error', reject);
+    child.on('exit', () => resolve({ answers, stderr }));
+
+    for (const request of requests) child.stdin.write(JSON.stringify(request) + '\n');
+    child.stdin.end();
+  });
+}
+
+test('tags debug output with the request\'s TRACEPARENT', async () => {
+  const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+  const { stderr } = await runWorker([
+    { id: '1', verb: 'web_enhanced.getTabs', args: {}, env: { TRACEPARENT: traceparent } }
+  ], { NODE_ENV: 'development' });
+
+  assert.match(stderr, /\[trace=0af7651916cd43dd8448eb211c80319c span=b7ad6b7169203331\] web_enhanced\.getTabs/);
+});
+
+test('refuses dry runs instead of acting on them', async () => {
+  const { answers } = await runWorker([
+    { id: '1', verb: 'web_enhanced.getTabs', args: {}, env: {}, dry_run: true },
+    { id: '2', verb: 'web_enhanced.getTabs', args: {}, env: {} }
+  ]);
+
+  assert.strictEqual(answers.find(a => a.id === '1').msg, 'DRY_RUN_UNSUPPORTED');
+  assert.strictEqual(answers.find(a => a.id === '2').ok, true);
+});
+
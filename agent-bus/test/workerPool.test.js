@@ -0,0 +1,101 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const WorkerPool = require('../broker/workerPool');
+const config = require('../broker/config');
+
+const ADAPTER = path.join(__dirname, 'fixtures', 'worker.js');
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let pool;
+afterEach(async () => {
+  await pool?.shutdown();
+  pool = null;
+});
+
+test('reuses one worker process across calls', async () => {
+  pool = new WorkerPool();
+  const first = await pool.execute('t', ADAPTER, {}, 'echo', { n: 1 });
+  const second = await pool.execute('t', ADAPTER, {}, 'echo', { n: 2 });
+
+  assert.deepStrictEqual(first.data.args, { n: 1 });
+  assert.strictEqual(first.data.pid, second.data.pid);
+  assert.strictEqual(pool.size(), 1);
+});
+
+test('passes adapter errors through', async () => {
+  pool = new WorkerPool();
+  await assert.rejects(pool.execute('t', ADAPTER, {}, 'nope', {}), { message: 'UNKNOWN_VERB', code: 50 });
+});
+
+test('stops a worker once it has been idle for idle_timeout_ms', async () => {
+  pool = new WorkerPool();
+  await pool.execute('t', ADAPTER, { idle_timeout_ms: 100 }, 'echo', {});
+  assert.strictEqual(pool.size(), 1);
+
+  await wait(400);
+  assert.strictEqual(pool.size(), 0);
+});
+
+test('cancelling a call rejects it with the abort reason', async () => {
+  pool = new WorkerPool();
+  const controller = new AbortController();
+  const call = pool.execute('t', ADAPTER, {}, 'sleep', { ms: 5000 }, {}, { signal: controller.signal });
+
+  setTimeout(() => controller.abort(new Error('CANCELLED')), 50);
+  await assert.rejects(call, { message: 'CANCELLED' });
+});
+
+
+test('a call aborted before it reaches the pool starts no worker', async () => {
+  pool = new WorkerPool();
+  const signal = AbortSignal.abort(new Error('TIMEOUT'));
+
+  await assert.rejects(pool.execute('t', ADAPTER, {}, 'echo', {}, {}, { signal }), { message: 'TIMEOUT' });
+  assert.strictEqual(pool.size(), 0);
+});
+
+test('health pings do not keep an idle worker alive', async (t) => {
+  const interval = config.WORKER_HEALTH_INTERVAL_MS;
+  config.WORKER_HEALTH_INTERVAL_MS = 50;
+  t.after(() => { config.WORKER_HEALTH_INTERVAL_MS = interval; });
+
+  pool = new WorkerPool();
+  await pool.execute('t', ADAPTER, { idle_timeout_ms: 300 }, 'echo', {});
+
+  await wait(800);
+  assert.strictEqual(pool.size(), 0);
+});
+
+test('cancelling one call leaves the others on the worker running', async () => {
+  pool = new WorkerPool();
+  const controller = new AbortController();
+  const cancelled = pool.execute('t', ADAPTER, {}, 'sleep', { ms: 300 }, {}, { signal: controller.signal });
+  const other = pool.execute('t', ADAPTER, {}, 'sleep', { ms: 100 });
+
+  controller.abort(new Error('CANCELLED'));
+  await assert.rejects(cancelled, { message: 'CANCELLED' });
+  const { data } = await other;
+  assert.strictEqual((await pool.execute('t', ADAPTER, {}, 'echo', {})).data.pid, data.pid);
+});
+
+test('replacing a cancelled worker is not counted as a crash', async () => {
+  pool = new WorkerPool();
+  const controller = new AbortController();
+  const first = (await pool.execute('t', ADAPTER, {}, 'echo', {})).data.pid;
+  const call = pool.execute('t', ADAPTER, {}, 'sleep', { ms: 5000 }, {}, { signal: controller.signal });
+
+  controller.abort(new Error('CANCELLED'));
+  await assert.rejects(call, { message: 'CANCELLED' });
+  assert.notStrictEqual((await pool.execute('t', ADAPTER, {}, 'echo', {})).data.pid, first);
+  assert.strictEqual(pool.pools.get('t').restarts, 0);
+});
+
+test('retired workers are replaced on the next call', async () => {
+  pool = new WorkerPool();
+  const before = await pool.execute('t', ADAPTER, {}, 'echo', {});
+  pool.retire('t');
+  const after = await pool.execute('t', ADAPTER, {}, 'echo', {});
+
+  assert.notStrictEqual(before.data.pid, after.data.pid);
+});